@@ -3,6 +3,12 @@
 # Runtime environment variable injection for OpenShift
 echo "🔧 Injecting runtime environment variables..."
 
+# Never ship the API key to the browser once a token endpoint is configured
+if [ -n "${VITE_AUTH_TOKEN_URL}" ]; then
+  echo "🔐 Token endpoint configured, API key will not be exposed to the browser"
+  VITE_API_KEY=""
+fi
+
 # Create environment configuration file
 mkdir -p /tmp/nginx-html
 cat > /tmp/nginx-html/env-config.js << EOF
@@ -11,7 +17,40 @@ window.ENV_CONFIG = {
   VITE_CHEFS_BASE_PATH: "${VITE_CHEFS_BASE_PATH}",
   VITE_API_FORM_ID: "${VITE_API_FORM_ID}",
   VITE_API_FORM_VERSION_ID: "${VITE_API_FORM_VERSION_ID}",
-  VITE_API_KEY: "${VITE_API_KEY}"
+  VITE_FORM_VERSION_MODE: "${VITE_FORM_VERSION_MODE}",
+  VITE_SUBMISSION_ID: "${VITE_SUBMISSION_ID}",
+  VITE_SUBMISSION_MODE: "${VITE_SUBMISSION_MODE}",
+  VITE_API_KEY: "${VITE_API_KEY}",
+  VITE_AUTH_TOKEN_URL: "${VITE_AUTH_TOKEN_URL}",
+  VITE_OIDC_AUTHORITY: "${VITE_OIDC_AUTHORITY}",
+  VITE_OIDC_CLIENT_ID: "${VITE_OIDC_CLIENT_ID}",
+  VITE_OIDC_SCOPE: "${VITE_OIDC_SCOPE}",
+  VITE_OIDC_IDP_HINT: "${VITE_OIDC_IDP_HINT}",
+  VITE_EMBED_ALLOWED_ORIGINS: "${VITE_EMBED_ALLOWED_ORIGINS}",
+  VITE_PREFILL_FIELDS: "${VITE_PREFILL_FIELDS}",
+  VITE_PREFILL_ENDPOINT: "${VITE_PREFILL_ENDPOINT}",
+  VITE_AUTOSAVE_ENABLED: "${VITE_AUTOSAVE_ENABLED}",
+  VITE_AUTOSAVE_TTL_HOURS: "${VITE_AUTOSAVE_TTL_HOURS}",
+  VITE_AUTOSAVE_KEY_IDLE_MINUTES: "${VITE_AUTOSAVE_KEY_IDLE_MINUTES}",
+  VITE_OFFLINE_QUEUE_ENABLED: "${VITE_OFFLINE_QUEUE_ENABLED}",
+  VITE_FORM_CACHE_ENABLED: "${VITE_FORM_CACHE_ENABLED}",
+  VITE_REQUEST_TIMEOUT_MS: "${VITE_REQUEST_TIMEOUT_MS}",
+  VITE_REQUEST_RETRIES: "${VITE_REQUEST_RETRIES}",
+  VITE_UPLOAD_CHUNK_SIZE_MB: "${VITE_UPLOAD_CHUNK_SIZE_MB}",
+  VITE_UPLOAD_CHUNK_RETRIES: "${VITE_UPLOAD_CHUNK_RETRIES}",
+  VITE_FILE_VERIFY_TYPE: "${VITE_FILE_VERIFY_TYPE}",
+  VITE_FILE_IMAGE_MAX_DIMENSION: "${VITE_FILE_IMAGE_MAX_DIMENSION}",
+  VITE_FILE_STRIP_IMAGE_METADATA: "${VITE_FILE_STRIP_IMAGE_METADATA}",
+  VITE_FILE_CHECKSUM: "${VITE_FILE_CHECKSUM}",
+  VITE_FILE_SCAN_ENDPOINT: "${VITE_FILE_SCAN_ENDPOINT}",
+  VITE_REVIEW_MODE: "${VITE_REVIEW_MODE}",
+  VITE_LOCALE: "${VITE_LOCALE}",
+  VITE_SUPPORT_CONTACT: "${VITE_SUPPORT_CONTACT}",
+  VITE_COMPONENT_ALLOWED_ORIGINS: "${VITE_COMPONENT_ALLOWED_ORIGINS}",
+  VITE_COMPONENT_INTEGRITY: '${VITE_COMPONENT_INTEGRITY}',
+  VITE_COMPONENT_REQUIRE_INTEGRITY: "${VITE_COMPONENT_REQUIRE_INTEGRITY}",
+  VITE_COMPONENT_LOAD_TIMEOUT_MS: "${VITE_COMPONENT_LOAD_TIMEOUT_MS}",
+  VITE_STRIP_UNSAFE_CODE: "${VITE_STRIP_UNSAFE_CODE}"
 };
 EOF
 
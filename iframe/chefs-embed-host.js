@@ -0,0 +1,142 @@
+/**
+ * CHEFS Embed Host Helper
+ *
+ * Host-page side of the CHEFS embedded form postMessage protocol (see src/services/embedBridge.js
+ * in the embedded form app). Drop this script next to your page and connect it to the iframe:
+ *
+ *   const embed = ChefsEmbedHost.connect(document.querySelector('iframe'));
+ *   embed.on('submit', (payload) => console.log('Confirmation', payload.confirmationId));
+ *   embed.setData({ applicantName: 'Jane' });
+ *   const { data } = await embed.getData();
+ *
+ * The iframe's origin is taken from its src unless `origin` is given. Messages from any other
+ * origin are ignored. The embedded app must list this page's origin in VITE_EMBED_ALLOWED_ORIGINS.
+ */
+(function (global) {
+  'use strict';
+
+  var PROTOCOL = 'chefs-embed';
+  var PROTOCOL_VERSION = 1;
+  var REQUEST_TIMEOUT = 10000;
+
+  function connect(iframe, options) {
+    options = options || {};
+
+    var origin = options.origin || new URL(iframe.src, global.location.href).origin;
+    var autoResize = options.autoResize !== false;
+    var minHeight = options.minHeight || 0;
+    var listeners = {};
+    var pending = {};
+    var requestCounter = 0;
+
+    function post(type, payload, requestId) {
+      if (!iframe.contentWindow) return;
+      var message = { protocol: PROTOCOL, version: PROTOCOL_VERSION, type: type, payload: payload || {} };
+      if (requestId) message.requestId = requestId;
+      iframe.contentWindow.postMessage(message, origin);
+    }
+
+    function emit(type, payload) {
+      (listeners[type] || []).slice().forEach(function (listener) {
+        try {
+          listener(payload);
+        } catch (err) {
+          console.error('ChefsEmbedHost: listener for "' + type + '" failed', err);
+        }
+      });
+    }
+
+    function request(type, payload) {
+      requestCounter += 1;
+      var requestId = 'req-' + Date.now() + '-' + requestCounter;
+
+      return new Promise(function (resolve, reject) {
+        var timer = setTimeout(function () {
+          delete pending[requestId];
+          reject(new Error('ChefsEmbedHost: "' + type + '" timed out'));
+        }, REQUEST_TIMEOUT);
+
+        pending[requestId] = { resolve: resolve, reject: reject, timer: timer };
+        post(type, payload, requestId);
+      });
+    }
+
+    function onMessage(event) {
+      var message = event.data;
+      if (event.origin !== origin || event.source !== iframe.contentWindow) return;
+      if (!message || message.protocol !== PROTOCOL) return;
+      if (message.version !== PROTOCOL_VERSION) {
+        console.warn('ChefsEmbedHost: ignoring protocol version', message.version);
+        return;
+      }
+
+      // Replies to getData (or errors for a request)
+      if (message.requestId && pending[message.requestId]) {
+        var entry = pending[message.requestId];
+        delete pending[message.requestId];
+        clearTimeout(entry.timer);
+        if (message.type === 'error') {
+          entry.reject(new Error(message.payload && message.payload.message));
+        } else {
+          entry.resolve(message.payload);
+        }
+        return;
+      }
+
+      if (message.type === 'resize' && autoResize && message.payload) {
+        iframe.style.height = Math.max(minHeight, message.payload.height) + 'px';
+      }
+
+      emit(message.type, message.payload);
+    }
+
+    function onLoad() {
+      post('connect');
+    }
+
+    global.addEventListener('message', onMessage);
+    iframe.addEventListener('load', onLoad);
+
+    // The iframe may already have loaded before we connected
+    post('connect');
+
+    return {
+      on: function (type, listener) {
+        (listeners[type] = listeners[type] || []).push(listener);
+        return this;
+      },
+      off: function (type, listener) {
+        listeners[type] = (listeners[type] || []).filter(function (l) { return l !== listener; });
+        return this;
+      },
+      setData: function (data) {
+        post('setData', { data: data });
+      },
+      setReadOnly: function (readOnly) {
+        post('setReadOnly', { readOnly: !!readOnly });
+      },
+      submit: function () {
+        post('submit');
+      },
+      getData: function () {
+        return request('getData');
+      },
+      destroy: function () {
+        global.removeEventListener('message', onMessage);
+        iframe.removeEventListener('load', onLoad);
+        Object.keys(pending).forEach(function (requestId) {
+          clearTimeout(pending[requestId].timer);
+          pending[requestId].reject(new Error('ChefsEmbedHost: connection destroyed'));
+        });
+        pending = {};
+        listeners = {};
+      }
+    };
+  }
+
+  global.ChefsEmbedHost = {
+    PROTOCOL: PROTOCOL,
+    PROTOCOL_VERSION: PROTOCOL_VERSION,
+    connect: connect
+  };
+})(window);
@@ -0,0 +1,106 @@
+/**
+ * Cache Service Worker
+ *
+ * - Page navigations: network first; the page is stored once, under the app shell key, and served for
+ *   any navigation when offline. Query strings (OIDC ?code=&state=, ?draft=, ?submissionId=) are never
+ *   part of a cache key.
+ * - env-config.js: network first, cached copy when offline
+ * - Built app files (assets/ next to this worker): stale-while-revalidate
+ * - External component assets the app added to ASSET_CACHE (see src/services/formCache.js):
+ *   stale-while-revalidate
+ * - Everything else, including CHEFS API calls wherever the API is mounted, goes to the network
+ *   uncached; form data is cached in IndexedDB by the app
+ */
+
+const APP_CACHE = 'chefs-form-app-v2';
+const ASSET_CACHE = 'chefs-form-assets';
+
+// Everything is resolved against the worker's scope, so the app also works under a sub-path
+const APP_SHELL_URL = new URL('./', self.registration.scope).href;
+const ENV_CONFIG_PATH = new URL('./env-config.js', self.registration.scope).pathname;
+const BUILT_ASSETS_PATH = new URL('./assets/', self.registration.scope).pathname;
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('chefs-form-app-') && name !== APP_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+/**
+ * @param {string} [cacheKey] - Store the response under this key instead of the request URL
+ * @param {Function} [shouldCache] - (response) => boolean, on top of the response being OK
+ */
+const networkFirst = async (event, cacheName, { cacheKey = event.request, shouldCache = () => true } = {}) => {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(event.request);
+    if (response.ok && shouldCache(response)) {
+      await cache.put(cacheKey, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// Only the app's own page is stored as the shell, not downloads or API responses opened as a page
+const isAppShell = (response) => {
+  return !response.redirected && (response.headers.get('Content-Type') || '').includes('text/html');
+};
+
+const staleWhileRevalidate = async (event, cache, cached) => {
+  const refresh = fetch(event.request).then(async response => {
+    if (response.ok) {
+      await cache.put(event.request, response.clone());
+    }
+    return response;
+  });
+
+  if (!cached) return refresh;
+
+  event.waitUntil(refresh.catch(() => {}));
+  return cached;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(event, APP_CACHE, { cacheKey: APP_SHELL_URL, shouldCache: isAppShell }));
+    return;
+  }
+
+  if (sameOrigin && url.pathname === ENV_CONFIG_PATH) {
+    event.respondWith(networkFirst(event, APP_CACHE, { cacheKey: new URL(ENV_CONFIG_PATH, url.origin).href }));
+    return;
+  }
+
+  event.respondWith((async () => {
+    const assets = await caches.open(ASSET_CACHE);
+    const cachedAsset = await assets.match(request, { ignoreVary: true });
+    if (cachedAsset) {
+      return staleWhileRevalidate(event, assets, cachedAsset);
+    }
+
+    if (sameOrigin && url.pathname.startsWith(BUILT_ASSETS_PATH)) {
+      const app = await caches.open(APP_CACHE);
+      return staleWhileRevalidate(event, app, await app.match(request));
+    }
+
+    return fetch(request);
+  })());
+});
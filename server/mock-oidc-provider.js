@@ -0,0 +1,203 @@
+/**
+ * Mock OIDC Identity Provider
+ *
+ * Local stand-in for Keycloak so the OIDC login (src/services/oidcAuth.js) can be exercised
+ * without IDIR/BCeID accounts. Implements just enough of OpenID Connect:
+ *
+ *   GET  /.well-known/openid-configuration
+ *   GET  /authorize   - shows a user picker, then redirects back with ?code&state
+ *   POST /token       - authorization_code (with PKCE S256 verification) and refresh_token grants
+ *   GET  /userinfo
+ *   GET  /logout      - redirects to post_logout_redirect_uri
+ *
+ * Tokens are HS256 JWTs signed with a throwaway secret. Access tokens are short-lived
+ * (MOCK_OIDC_TOKEN_TTL, default 60 seconds) so silent refresh is easy to observe.
+ *
+ * Run with `npm run mock-oidc`, then set VITE_OIDC_AUTHORITY=http://localhost:8082 and
+ * VITE_OIDC_CLIENT_ID=chefs-embedded-form.
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 8082;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'chefs-embedded-form';
+const TOKEN_TTL = parseInt(process.env.MOCK_OIDC_TOKEN_TTL) || 60;
+const SECRET = crypto.randomBytes(32).toString('hex');
+
+const USERS = {
+  idir: {
+    sub: 'mock-idir-user@idir',
+    name: 'Ian Director',
+    preferred_username: 'idirector@idir',
+    email: 'ian.director@gov.bc.ca',
+    identity_provider: 'idir'
+  },
+  bceid: {
+    sub: 'mock-bceid-user@bceidbasic',
+    name: 'Betty Business',
+    preferred_username: 'bbusiness@bceidbasic',
+    email: 'betty@example.com',
+    identity_provider: 'bceidbasic'
+  }
+};
+
+// Outstanding authorization codes and issued refresh tokens (in memory only)
+const codes = new Map();
+const refreshTokens = new Map();
+
+const base64Url = (value) => Buffer.from(value).toString('base64url');
+
+const signJwt = (claims) => {
+  const header = base64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64Url(JSON.stringify(claims));
+  const signature = crypto.createHmac('sha256', SECRET).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+};
+
+const issueTokens = (user, nonce) => {
+  const now = Math.floor(Date.now() / 1000);
+  const common = { iss: ISSUER, aud: CLIENT_ID, iat: now, exp: now + TOKEN_TTL, ...user };
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  refreshTokens.set(refreshToken, user);
+
+  return {
+    access_token: signJwt({ ...common, typ: 'Bearer' }),
+    id_token: signJwt({ ...common, typ: 'ID', ...(nonce ? { nonce } : {}) }),
+    refresh_token: refreshToken,
+    token_type: 'Bearer',
+    expires_in: TOKEN_TTL
+  };
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+  req.on('error', reject);
+});
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+  res.end(JSON.stringify(body));
+};
+
+const redirect = (res, location) => {
+  res.writeHead(302, { Location: location });
+  res.end();
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const handleAuthorize = (url, res) => {
+  const params = url.searchParams;
+  if (params.get('client_id') !== CLIENT_ID || params.get('code_challenge_method') !== 'S256') {
+    return sendJson(res, 400, { error: 'invalid_request' });
+  }
+
+  // A chosen user (or the Keycloak idp hint) completes the sign-in immediately
+  const userKey = params.get('user') || (params.get('kc_idp_hint') || '').replace(/basic$/, '');
+  if (USERS[userKey]) {
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      user: USERS[userKey],
+      nonce: params.get('nonce'),
+      redirectUri: params.get('redirect_uri'),
+      codeChallenge: params.get('code_challenge')
+    });
+
+    const callback = new URL(params.get('redirect_uri'));
+    callback.searchParams.set('code', code);
+    callback.searchParams.set('state', params.get('state'));
+    return redirect(res, callback.toString());
+  }
+
+  const links = Object.entries(USERS).map(([key, user]) => {
+    const choice = new URL(url);
+    choice.searchParams.set('user', key);
+    return `<li><a href="${escapeHtml(choice.pathname + choice.search)}">${escapeHtml(user.name)} (${key.toUpperCase()})</a></li>`;
+  }).join('');
+
+  res.writeHead(200, { 'Content-Type': 'text/html' });
+  res.end(`<!DOCTYPE html><html><body><h1>Mock identity provider</h1><p>Sign in as:</p><ul>${links}</ul></body></html>`);
+};
+
+const handleToken = async (req, res) => {
+  const params = new URLSearchParams(await readBody(req));
+
+  if (params.get('client_id') !== CLIENT_ID) {
+    return sendJson(res, 401, { error: 'invalid_client' });
+  }
+
+  if (params.get('grant_type') === 'authorization_code') {
+    const grant = codes.get(params.get('code'));
+    codes.delete(params.get('code'));
+
+    const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+    if (!grant || grant.redirectUri !== params.get('redirect_uri') || grant.codeChallenge !== challenge) {
+      return sendJson(res, 400, { error: 'invalid_grant' });
+    }
+    return sendJson(res, 200, issueTokens(grant.user, grant.nonce));
+  }
+
+  if (params.get('grant_type') === 'refresh_token') {
+    const user = refreshTokens.get(params.get('refresh_token'));
+    refreshTokens.delete(params.get('refresh_token'));
+    if (!user) {
+      return sendJson(res, 400, { error: 'invalid_grant' });
+    }
+    return sendJson(res, 200, issueTokens(user));
+  }
+
+  sendJson(res, 400, { error: 'unsupported_grant_type' });
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    });
+    return res.end();
+  }
+
+  try {
+    switch (url.pathname) {
+      case '/.well-known/openid-configuration':
+        return sendJson(res, 200, {
+          issuer: ISSUER,
+          authorization_endpoint: `${ISSUER}/authorize`,
+          token_endpoint: `${ISSUER}/token`,
+          userinfo_endpoint: `${ISSUER}/userinfo`,
+          end_session_endpoint: `${ISSUER}/logout`,
+          response_types_supported: ['code'],
+          grant_types_supported: ['authorization_code', 'refresh_token'],
+          code_challenge_methods_supported: ['S256']
+        });
+      case '/authorize':
+        return handleAuthorize(url, res);
+      case '/token':
+        return await handleToken(req, res);
+      case '/userinfo': {
+        const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+        const claims = JSON.parse(Buffer.from(token.split('.')[1] || '', 'base64url').toString() || '{}');
+        return sendJson(res, claims.sub ? 200 : 401, claims.sub ? claims : { error: 'invalid_token' });
+      }
+      case '/logout':
+        return redirect(res, url.searchParams.get('post_logout_redirect_uri') || '/');
+      default:
+        return sendJson(res, 404, { error: 'not_found' });
+    }
+  } catch (error) {
+    console.error('🔥 Mock OIDC provider error:', error);
+    sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🚀 Mock OIDC provider listening at ${ISSUER} (client_id: ${CLIENT_ID})`);
+});
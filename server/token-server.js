@@ -0,0 +1,662 @@
+/**
+ * CHEFS Token Server
+ *
+ * Small server-side companion that keeps the form API key out of the browser.
+ *
+ * - POST /token { formId }  -> { accessToken, tokenType, expiresIn }
+ *   Mints a short-lived HMAC-signed token for a configured form. The caller must hold a session
+ *   on the host site: its Cookie and Authorization headers are checked against TOKEN_SESSION_URL.
+ * - Allowlisted CHEFS routes -> proxied to CHEFS_BASE_URL
+ *   The Bearer token is verified and replaced with the form's Basic API key credentials. Only the
+ *   routes the embedded form needs are forwarded (see PROXY_ROUTES); everything else gets a 404.
+ * - Upload sessions      -> handled here, CHEFS has no chunked upload API
+ *   POST   /files/uploads?formId=      { name, size, type, chunkSize, checksum } -> { id, chunkCount, expiresAt }
+ *   GET    /files/uploads/:id          -> { id, receivedChunks, chunkCount, expiresAt }
+ *   PUT    /files/uploads/:id/chunks/:index   (chunk bytes)
+ *   POST   /files/uploads/:id/complete -> the stored file, as returned by CHEFS POST /files
+ *   Chunks are kept on disk under UPLOAD_DIR until the session completes or expires, so an
+ *   interrupted upload can be resumed later, also after a restart when TOKEN_SECRET is fixed.
+ *
+ * - POST /files/release { token, fileIds } -> { released }
+ *   Deletes files the page uploaded but abandoned; sent with navigator.sendBeacon() when the page is
+ *   closed, so the token travels in the body and may have expired up to RELEASE_GRACE_SECONDS ago.
+ *   Only files uploaded through this server for the token's form and not used by a final submission
+ *   can be deleted, here or with DELETE /files/:id.
+ *
+ * Configuration (environment):
+ *   CHEFS_BASE_URL         CHEFS origin, e.g. https://submit.digital.gov.bc.ca
+ *   CHEFS_BASE_PATH        CHEFS API path, default /app/api/v1
+ *   CHEFS_FORMS            JSON map of formId -> apiKey (or CHEFS_FORM_ID + CHEFS_API_KEY for one form)
+ *   TOKEN_SECRET           HMAC secret (random per process if unset, so tokens die on restart)
+ *   TOKEN_TTL_SECONDS      token lifetime, default 300
+ *   TOKEN_ALLOWED_ORIGINS  comma separated origins allowed to call /token (CORS)
+ *   TOKEN_SESSION_URL      host endpoint that answers 2xx for a signed-in user, e.g. https://my-site/api/session
+ *   TOKEN_ALLOW_ANONYMOUS  set to "true" to mint tokens without TOKEN_SESSION_URL (only when the server
+ *                          already sits behind the host's authenticating reverse proxy)
+ *   PROXY_MAX_BODY_MB      largest request body forwarded to CHEFS, default 25
+ *   UPLOAD_DIR             where upload session chunks are kept, default <tmpdir>/chefs-uploads
+ *   UPLOAD_MAX_FILE_MB     largest file accepted through an upload session, default 100
+ *   UPLOAD_SESSION_TTL_HOURS  how long an unfinished upload session can be resumed, default 24
+ *   PORT                   default 8081
+ *
+ * Point the app at it with VITE_AUTH_TOKEN_URL=http://localhost:8081/token and
+ * VITE_CHEFS_BASE_URL=http://localhost:8081 (the dev proxy then forwards /api through here).
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import { openAsBlob } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const PORT = parseInt(process.env.PORT) || 8081;
+const CHEFS_BASE_URL = (process.env.CHEFS_BASE_URL || 'https://submit.digital.gov.bc.ca').replace(/\/$/, '');
+const CHEFS_BASE_PATH = (process.env.CHEFS_BASE_PATH || '/app/api/v1').replace(/\/$/, '');
+const TOKEN_TTL_SECONDS = parseInt(process.env.TOKEN_TTL_SECONDS) || 300;
+const TOKEN_SECRET = process.env.TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+const ALLOWED_ORIGINS = (process.env.TOKEN_ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+const TOKEN_SESSION_URL = process.env.TOKEN_SESSION_URL || '';
+const TOKEN_ALLOW_ANONYMOUS = process.env.TOKEN_ALLOW_ANONYMOUS === 'true';
+const TOKEN_MAX_BODY_BYTES = 16 * 1024;
+const PROXY_MAX_BODY_BYTES = (parseFloat(process.env.PROXY_MAX_BODY_MB) || 25) * 1024 * 1024;
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(os.tmpdir(), 'chefs-uploads');
+const UPLOAD_MAX_FILE_BYTES = (parseFloat(process.env.UPLOAD_MAX_FILE_MB) || 100) * 1024 * 1024;
+const UPLOAD_SESSION_TTL_MS = (parseFloat(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// A page being closed may hold a token that expired moments ago; file release accepts it for this long
+const RELEASE_GRACE_SECONDS = 15 * 60;
+
+const loadForms = () => {
+  if (process.env.CHEFS_FORMS) {
+    return JSON.parse(process.env.CHEFS_FORMS);
+  }
+  if (process.env.CHEFS_FORM_ID && process.env.CHEFS_API_KEY) {
+    return { [process.env.CHEFS_FORM_ID]: process.env.CHEFS_API_KEY };
+  }
+  return {};
+};
+
+const forms = loadForms();
+
+// Headers that must not be copied between the incoming request, CHEFS and the response
+const HOP_BY_HOP_HEADERS = ['host', 'connection', 'content-length', 'content-encoding', 'transfer-encoding', 'authorization', 'cookie'];
+
+const sign = (payload) => crypto.createHmac('sha256', TOKEN_SECRET).update(payload).digest('base64url');
+
+const createToken = (formId) => {
+  const payload = Buffer.from(JSON.stringify({
+    formId,
+    exp: Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Verify a token and return its claims, or null if it is invalid or expired
+ * @param {number} [graceSeconds] - Also accept a token that expired this long ago
+ */
+const verifyToken = (token, graceSeconds = 0) => {
+  const [payload, signature] = (token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch {
+    return null;
+  }
+  return claims.exp + graceSeconds > Date.now() / 1000 ? claims : null;
+};
+
+/**
+ * Buffer a request body, rejecting with a 413 error once it grows past `limit` bytes
+ */
+const readBody = (req, limit) => new Promise((resolve, reject) => {
+  const declared = parseInt(req.headers['content-length']);
+  if (declared > limit) {
+    req.resume();
+    return reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+  }
+
+  const chunks = [];
+  let size = 0;
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > limit) {
+      req.destroy();
+      return reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+const applyCors = (req, res) => {
+  const origin = req.headers.origin;
+  if (origin && ALLOWED_ORIGINS.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, PATCH, OPTIONS');
+    // Content-Range is sent with every upload session chunk
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Content-Range');
+    res.setHeader('Vary', 'Origin');
+  }
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Copy a CHEFS response to the client
+ */
+const relayResponse = async (response, res, body = null) => {
+  const responseHeaders = {};
+  response.headers.forEach((value, name) => {
+    if (!HOP_BY_HOP_HEADERS.includes(name)) responseHeaders[name] = value;
+  });
+  res.writeHead(response.status, responseHeaders);
+  res.end(body ?? Buffer.from(await response.arrayBuffer()));
+};
+
+const basicAuth = (formId, apiKey) => `Basic ${Buffer.from(`${formId}:${apiKey}`).toString('base64')}`;
+
+/**
+ * Check the caller holds a session on the host site by replaying its credentials to TOKEN_SESSION_URL
+ */
+const isAuthenticatedCaller = async (req) => {
+  if (!TOKEN_SESSION_URL) return TOKEN_ALLOW_ANONYMOUS;
+  if (!req.headers.cookie && !req.headers.authorization) return false;
+
+  const headers = {};
+  if (req.headers.cookie) headers.cookie = req.headers.cookie;
+  if (req.headers.authorization) headers.authorization = req.headers.authorization;
+
+  const response = await fetch(TOKEN_SESSION_URL, { headers, redirect: 'manual' });
+  return response.ok;
+};
+
+const handleToken = async (req, res) => {
+  if (!await isAuthenticatedCaller(req)) {
+    return sendJson(res, 401, { detail: 'Sign in to the host site before requesting a form token' });
+  }
+
+  const body = await readBody(req, TOKEN_MAX_BODY_BYTES);
+  let formId;
+  try {
+    formId = JSON.parse(body.toString() || '{}').formId;
+  } catch {
+    return sendJson(res, 400, { detail: 'Request body must be JSON' });
+  }
+
+  if (!formId || !forms[formId]) {
+    return sendJson(res, 403, { detail: 'Form is not configured on this token server' });
+  }
+
+  console.log(`🔐 Issued token for form ${formId}`);
+  sendJson(res, 200, { accessToken: createToken(formId), tokenType: 'Bearer', expiresIn: TOKEN_TTL_SECONDS });
+};
+
+// ========================================
+// UPLOAD SESSIONS
+// ========================================
+
+const sessionDir = (sessionId) => path.join(UPLOAD_DIR, sessionId);
+const chunkPath = (sessionId, index) => path.join(sessionDir(sessionId), `chunk-${index}`);
+
+const chunkLength = (session, index) => Math.min(session.chunkSize, session.size - index * session.chunkSize);
+
+const parseJson = (body) => {
+  try {
+    return JSON.parse(body.toString() || '{}');
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Load an upload session, or null when it is unknown, expired or belongs to another form
+ */
+const loadUploadSession = async (sessionId, formId) => {
+  try {
+    const session = JSON.parse(await fs.readFile(path.join(sessionDir(sessionId), 'session.json'), 'utf8'));
+    return session.formId === formId && session.expiresAt > Date.now() ? session : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Chunks stored so far; derived from the files on disk so concurrent chunk writes can't lose each other
+ */
+const listReceivedChunks = async (session) => {
+  const names = await fs.readdir(sessionDir(session.id));
+  return names
+    .map(name => name.match(/^chunk-(\d+)$/)?.[1])
+    .filter(Boolean)
+    .map(Number)
+    .sort((a, b) => a - b);
+};
+
+const createUploadSession = async (req, res, { claims }) => {
+  const details = parseJson(await readBody(req, TOKEN_MAX_BODY_BYTES));
+  if (!details) {
+    return sendJson(res, 400, { detail: 'Request body must be JSON' });
+  }
+
+  const { size, chunkSize } = details;
+  if (!Number.isInteger(size) || size < 0 || !Number.isInteger(chunkSize) || chunkSize <= 0) {
+    return sendJson(res, 400, { detail: 'size and chunkSize must be whole numbers of bytes' });
+  }
+  if (size > UPLOAD_MAX_FILE_BYTES) {
+    return sendJson(res, 413, { detail: 'File is larger than this server accepts' });
+  }
+  if (chunkSize > PROXY_MAX_BODY_BYTES) {
+    return sendJson(res, 400, { detail: `Chunks may be at most ${PROXY_MAX_BODY_BYTES} bytes` });
+  }
+
+  const session = {
+    id: crypto.randomUUID(),
+    formId: claims.formId,
+    name: String(details.name || 'file').slice(0, 255),
+    type: String(details.type || 'application/octet-stream'),
+    size,
+    chunkSize,
+    chunkCount: Math.max(Math.ceil(size / chunkSize), 1),
+    checksum: /^[0-9a-f]{64}$/i.test(details.checksum || '') ? details.checksum.toLowerCase() : null,
+    expiresAt: Date.now() + UPLOAD_SESSION_TTL_MS
+  };
+  await fs.mkdir(sessionDir(session.id), { recursive: true });
+  await fs.writeFile(path.join(sessionDir(session.id), 'session.json'), JSON.stringify(session));
+
+  console.log(`📁 Upload session ${session.id} started for ${session.name} (${session.chunkCount} chunks)`);
+  sendJson(res, 201, { id: session.id, chunkCount: session.chunkCount, expiresAt: session.expiresAt });
+};
+
+const getUploadSession = async (req, res, { claims, params }) => {
+  const session = await loadUploadSession(params.sessionId, claims.formId);
+  if (!session) {
+    return sendJson(res, 404, { detail: 'Upload session not found or expired' });
+  }
+  sendJson(res, 200, {
+    id: session.id,
+    receivedChunks: await listReceivedChunks(session),
+    chunkCount: session.chunkCount,
+    expiresAt: session.expiresAt
+  });
+};
+
+const putUploadChunk = async (req, res, { claims, params }) => {
+  const session = await loadUploadSession(params.sessionId, claims.formId);
+  if (!session) {
+    return sendJson(res, 404, { detail: 'Upload session not found or expired' });
+  }
+
+  const index = parseInt(params.index);
+  if (index >= session.chunkCount) {
+    return sendJson(res, 400, { detail: `Chunk index must be below ${session.chunkCount}` });
+  }
+
+  const chunk = await readBody(req, session.chunkSize);
+  if (chunk.length !== chunkLength(session, index)) {
+    return sendJson(res, 400, { detail: `Chunk ${index} must be ${chunkLength(session, index)} bytes` });
+  }
+
+  // Write then rename, so a half-written chunk is never reported as received
+  const target = chunkPath(session.id, index);
+  await fs.writeFile(`${target}.part`, chunk);
+  await fs.rename(`${target}.part`, target);
+  res.writeHead(204);
+  res.end();
+};
+
+const completeUploadSession = async (req, res, { claims, apiKey, params }) => {
+  const session = await loadUploadSession(params.sessionId, claims.formId);
+  if (!session) {
+    return sendJson(res, 404, { detail: 'Upload session not found or expired' });
+  }
+
+  const received = await listReceivedChunks(session);
+  if (received.length !== session.chunkCount) {
+    return sendJson(res, 409, { detail: 'Upload is missing chunks', receivedChunks: received });
+  }
+
+  // Assemble the file, hashing it on the way to check it against the client's checksum
+  const filePath = path.join(sessionDir(session.id), 'file');
+  const hash = crypto.createHash('sha256');
+  await fs.writeFile(filePath, '');
+  for (let index = 0; index < session.chunkCount; index++) {
+    const chunk = await fs.readFile(chunkPath(session.id, index));
+    hash.update(chunk);
+    await fs.appendFile(filePath, chunk);
+  }
+  if (session.checksum && hash.digest('hex') !== session.checksum) {
+    await fs.rm(sessionDir(session.id), { recursive: true, force: true });
+    return sendJson(res, 422, { detail: 'Assembled file does not match its checksum; upload it again' });
+  }
+
+  const formData = new FormData();
+  formData.append('files', await openAsBlob(filePath, { type: session.type }), session.name);
+  const response = await fetch(`${CHEFS_BASE_URL}${CHEFS_BASE_PATH}/files?formId=${encodeURIComponent(session.formId)}`, {
+    method: 'POST',
+    headers: { authorization: basicAuth(claims.formId, apiKey) },
+    body: formData
+  });
+
+  // A failed CHEFS upload keeps the session so completing it can be retried
+  const responseBody = Buffer.from(await response.arrayBuffer());
+  if (response.ok) {
+    recordUploadResponse(responseBody, session.formId);
+    await fs.rm(sessionDir(session.id), { recursive: true, force: true });
+    console.log(`📁 Upload session ${session.id} completed`);
+  }
+  await relayResponse(response, res, responseBody);
+};
+
+/**
+ * Remove expired upload sessions and their chunks
+ */
+const removeExpiredUploadSessions = async () => {
+  let sessionIds;
+  try {
+    sessionIds = await fs.readdir(UPLOAD_DIR);
+  } catch {
+    return;
+  }
+  for (const sessionId of sessionIds) {
+    try {
+      const session = JSON.parse(await fs.readFile(path.join(sessionDir(sessionId), 'session.json'), 'utf8'));
+      if (session.expiresAt > Date.now()) continue;
+    } catch {
+      // Unreadable session: remove it too
+    }
+    await fs.rm(sessionDir(sessionId), { recursive: true, force: true });
+  }
+};
+
+// ========================================
+// UPLOADED FILES
+// ========================================
+
+// fileId -> { formId, uploadedAt, submitted }; files uploaded through this server, so a token can only
+// delete its own form's files, and only until a final submission uses them. Kept in memory: after a
+// restart earlier uploads simply can't be deleted through this server.
+const uploadedFiles = new Map();
+const UPLOADED_FILE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const recordUploadedFile = (fileId, formId) => {
+  if (fileId) uploadedFiles.set(String(fileId), { formId, uploadedAt: Date.now(), submitted: false });
+};
+
+/**
+ * Record the file a successful CHEFS upload response describes
+ */
+const recordUploadResponse = (body, formId) => {
+  try {
+    recordUploadedFile(JSON.parse(body.toString()).id, formId);
+  } catch {
+    // Not JSON: nothing to record, the file just can't be deleted through this server
+  }
+};
+
+/**
+ * Files of the form a final submission refers to belong to that submission now and must be kept
+ */
+const markSubmittedFiles = (body, formId) => {
+  let submission;
+  try {
+    submission = JSON.parse(body.toString());
+  } catch {
+    return;
+  }
+  if (submission.draft) return;
+
+  const serialized = JSON.stringify(submission.submission ?? submission);
+  uploadedFiles.forEach((file, fileId) => {
+    if (file.formId === formId && serialized.includes(fileId)) file.submitted = true;
+  });
+};
+
+const isDeletableFile = (fileId, formId) => {
+  const file = uploadedFiles.get(fileId);
+  return !!file && file.formId === formId && !file.submitted;
+};
+
+const deleteChefsFile = (fileId, formId, apiKey) => fetch(`${CHEFS_BASE_URL}${CHEFS_BASE_PATH}/files/${encodeURIComponent(fileId)}`, {
+  method: 'DELETE',
+  headers: { authorization: basicAuth(formId, apiKey) }
+});
+
+const deleteOwnFile = async (req, res, { claims, apiKey, params }) => {
+  if (!isDeletableFile(params.fileId, claims.formId)) {
+    return sendJson(res, 403, { detail: 'Only files uploaded for this form and not yet submitted can be deleted' });
+  }
+  const response = await deleteChefsFile(params.fileId, claims.formId, apiKey);
+  if (response.ok) uploadedFiles.delete(params.fileId);
+  await relayResponse(response, res);
+};
+
+/**
+ * Beacon target for files abandoned when the page closes; authenticated by the token in the body
+ */
+const handleRelease = async (req, res) => {
+  const body = parseJson(await readBody(req, TOKEN_MAX_BODY_BYTES));
+  const token = body?.token || (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const claims = verifyToken(token, RELEASE_GRACE_SECONDS);
+  const apiKey = claims ? forms[claims.formId] : null;
+  if (!apiKey) {
+    return sendJson(res, 401, { detail: 'Token is invalid or expired' });
+  }
+
+  const fileIds = Array.isArray(body?.fileIds) ? body.fileIds.map(String) : [];
+  let released = 0;
+  for (const fileId of fileIds.filter(id => isDeletableFile(id, claims.formId))) {
+    const response = await deleteChefsFile(fileId, claims.formId, apiKey);
+    if (response.ok) {
+      uploadedFiles.delete(fileId);
+      released++;
+    }
+  }
+
+  console.log(`📁 Released ${released}/${fileIds.length} abandoned file(s) for form ${claims.formId}`);
+  sendJson(res, 200, { released });
+};
+
+// ========================================
+// SUBMISSIONS
+// ========================================
+
+// Submission ID -> form ID, learned from submissions created through this server and from lookups.
+// A submission never moves to another form, so entries only leave to keep the map bounded.
+const submissionForms = new Map();
+const MAX_KNOWN_SUBMISSIONS = 10000;
+
+const recordSubmissionForm = (submissionId, formId) => {
+  if (!submissionId) return;
+  submissionForms.delete(submissionId);
+  submissionForms.set(submissionId, formId);
+  if (submissionForms.size > MAX_KNOWN_SUBMISSIONS) {
+    submissionForms.delete(submissionForms.keys().next().value);
+  }
+};
+
+/**
+ * Record which form a submission created through this server belongs to
+ */
+const recordSubmissionResponse = (body, formId) => {
+  try {
+    recordSubmissionForm(JSON.parse(body.toString()).id, formId);
+  } catch {
+    // Not JSON: the submission is looked up the first time it is used
+  }
+};
+
+/**
+ * Whether a submission belongs to the token's form; unknown submissions are looked up in CHEFS
+ */
+const isFormSubmission = async ({ submissionId }, claims, apiKey) => {
+  if (!submissionForms.has(submissionId)) {
+    const response = await fetch(`${CHEFS_BASE_URL}${CHEFS_BASE_PATH}/submissions/${encodeURIComponent(submissionId)}`, {
+      headers: { authorization: basicAuth(claims.formId, apiKey) }
+    });
+    if (!response.ok) return false;
+
+    const result = await response.json();
+    const formId = result.form?.id || result.version?.formId;
+    if (!formId) return false;
+    recordSubmissionForm(submissionId, formId);
+  }
+  return submissionForms.get(submissionId) === claims.formId;
+};
+
+const removeExpiredUploadedFiles = () => {
+  const cutoff = Date.now() - UPLOADED_FILE_TTL_MS;
+  uploadedFiles.forEach((file, fileId) => {
+    if (file.uploadedAt < cutoff) uploadedFiles.delete(fileId);
+  });
+};
+
+// ========================================
+// PROXY
+// ========================================
+
+/**
+ * CHEFS routes the embedded form may reach through the proxy, relative to CHEFS_BASE_PATH.
+ * The named `formId` group must match the form the token was issued for; routes that don't name
+ * the form check it with `authorize(params, claims, apiKey)`.
+ */
+const PROXY_ROUTES = [
+  // Published version, a specific version and the form designer draft (schema reads)
+  { method: 'GET', pattern: /^\/forms\/(?<formId>[^/]+)\/version$/ },
+  { method: 'GET', pattern: /^\/forms\/(?<formId>[^/]+)\/versions\/[^/]+$/ },
+  { method: 'GET', pattern: /^\/forms\/(?<formId>[^/]+)\/versions\/[^/]+\/formModuleVersions$/ },
+  { method: 'GET', pattern: /^\/forms\/(?<formId>[^/]+)\/drafts\/[^/]+$/ },
+  // Create a submission (final or draft)
+  { method: 'POST', pattern: /^\/forms\/(?<formId>[^/]+)\/versions\/[^/]+\/submissions$/, onSuccess: ({ requestBody, responseBody }, formId) => {
+    recordSubmissionResponse(responseBody, formId);
+    markSubmittedFiles(requestBody, formId);
+  } },
+  // Open, update (save a draft again or submit it) and check the status of this form's submissions
+  { method: 'GET', pattern: /^\/submissions\/(?<submissionId>[^/]+)$/, authorize: isFormSubmission },
+  { method: 'PUT', pattern: /^\/submissions\/(?<submissionId>[^/]+)$/, authorize: isFormSubmission, onSuccess: ({ requestBody }, formId) => markSubmittedFiles(requestBody, formId) },
+  { method: 'GET', pattern: /^\/submissions\/(?<submissionId>[^/]+)\/status$/, authorize: isFormSubmission },
+  // File upload and download; only this form's unsubmitted uploads can be deleted
+  { method: 'POST', pattern: /^\/files$/, onSuccess: ({ responseBody }, formId) => recordUploadResponse(responseBody, formId) },
+  { method: 'GET', pattern: /^\/files\/[^/]+$/ },
+  { method: 'DELETE', pattern: /^\/files\/(?<fileId>[^/]+)$/, handler: deleteOwnFile },
+  // Upload sessions for chunked, resumable uploads (answered here, see UPLOAD SESSIONS)
+  { method: 'POST', pattern: /^\/files\/uploads$/, handler: createUploadSession },
+  { method: 'GET', pattern: /^\/files\/uploads\/(?<sessionId>[0-9a-f-]{36})$/, handler: getUploadSession },
+  { method: 'PUT', pattern: /^\/files\/uploads\/(?<sessionId>[0-9a-f-]{36})\/chunks\/(?<index>\d+)$/, handler: putUploadChunk },
+  { method: 'POST', pattern: /^\/files\/uploads\/(?<sessionId>[0-9a-f-]{36})\/complete$/, handler: completeUploadSession }
+];
+
+/**
+ * Find the allowlisted route for a request, or null
+ */
+const matchProxyRoute = (method, pathname) => {
+  if (!pathname.startsWith(`${CHEFS_BASE_PATH}/`)) return null;
+  const path = pathname.slice(CHEFS_BASE_PATH.length);
+
+  for (const route of PROXY_ROUTES) {
+    const match = method === route.method && path.match(route.pattern);
+    if (match) return { ...route, params: match.groups || {} };
+  }
+  return null;
+};
+
+const handleProxy = async (req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const route = matchProxyRoute(req.method, pathname);
+  if (!route) {
+    return sendJson(res, 404, { detail: 'Route is not available through the token server' });
+  }
+
+  // Every proxied route runs with the form's API key, so every one needs a valid token
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const claims = verifyToken(token);
+  const apiKey = claims ? forms[claims.formId] : null;
+  if (!apiKey) {
+    return sendJson(res, 401, { detail: 'Token is invalid or expired' });
+  }
+  if (route.params.formId && route.params.formId !== claims.formId) {
+    return sendJson(res, 403, { detail: 'Token was issued for a different form' });
+  }
+  if (route.authorize && !await route.authorize(route.params, claims, apiKey)) {
+    return sendJson(res, 403, { detail: 'Submission does not belong to the token\'s form' });
+  }
+  if (route.handler) {
+    return route.handler(req, res, { claims, apiKey, params: route.params });
+  }
+
+  const headers = Object.fromEntries(
+    Object.entries(req.headers).filter(([name]) => !HOP_BY_HOP_HEADERS.includes(name))
+  );
+  headers.authorization = basicAuth(claims.formId, apiKey);
+
+  const hasBody = !['GET', 'HEAD'].includes(req.method);
+  const body = hasBody ? await readBody(req, PROXY_MAX_BODY_BYTES) : undefined;
+  const response = await fetch(`${CHEFS_BASE_URL}${req.url}`, {
+    method: req.method,
+    headers,
+    body
+  });
+
+  const responseBody = Buffer.from(await response.arrayBuffer());
+  if (response.ok && route.onSuccess) {
+    route.onSuccess({ requestBody: body, responseBody }, claims.formId);
+  }
+  await relayResponse(response, res, responseBody);
+};
+
+const server = http.createServer(async (req, res) => {
+  applyCors(req, res);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    return res.end();
+  }
+
+  try {
+    if (req.method === 'POST' && req.url === '/token') {
+      await handleToken(req, res);
+    } else if (req.method === 'POST' && req.url === `${CHEFS_BASE_PATH}/files/release`) {
+      await handleRelease(req, res);
+    } else {
+      await handleProxy(req, res);
+    }
+  } catch (error) {
+    if (error.status === 413) {
+      if (!res.headersSent) sendJson(res, 413, { detail: error.message });
+      return;
+    }
+    console.error('🔥 Token server error:', error);
+    if (!res.headersSent) sendJson(res, 502, { detail: 'Upstream request failed' });
+  }
+});
+
+setInterval(() => {
+  removeExpiredUploadSessions();
+  removeExpiredUploadedFiles();
+}, 60 * 60 * 1000).unref();
+
+server.listen(PORT, () => {
+  console.log(`🚀 CHEFS token server listening on port ${PORT}, proxying to ${CHEFS_BASE_URL}`);
+  console.log(`🔐 Forms configured: ${Object.keys(forms).length}`);
+  if (TOKEN_SESSION_URL) {
+    console.log(`🔐 Token requests are checked against ${TOKEN_SESSION_URL}`);
+  } else if (TOKEN_ALLOW_ANONYMOUS) {
+    console.warn('⚠️ TOKEN_ALLOW_ANONYMOUS is set: /token trusts every caller. Keep this server behind the host\'s authenticating proxy.');
+  } else {
+    console.warn('⚠️ TOKEN_SESSION_URL is not set: /token will refuse every request');
+  }
+});
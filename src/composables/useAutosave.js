@@ -0,0 +1,132 @@
+import { ref, unref, onUnmounted } from 'vue';
+import {
+  saveSnapshot,
+  loadSnapshot,
+  clearSnapshot,
+  purgeExpiredSnapshots,
+  isAutosaveSupported
+} from '@/services/autosave.js';
+
+/**
+ * Composable that autosaves form data and offers to restore it on the next load
+ * @param {Object} options
+ * @param {import('vue').Ref<string>} options.key - Snapshot key (see buildAutosaveKey); empty disables autosave
+ * @param {import('vue').Ref<boolean>|boolean} options.enabled - Whether autosave is active
+ * @param {number} options.ttlMs - How long a snapshot may be restored
+ * @param {number} [options.debounceMs] - Delay after the last change before saving
+ */
+export function useAutosave({ key, enabled, ttlMs, debounceMs = 1000 }) {
+  const pendingRestore = ref(null);
+  const lastAutosavedAt = ref(null);
+  const autosaveError = ref('');
+
+  let timer = null;
+  let queuedData = null;
+  let queuedMeta = {};
+  // Nothing is written until the user has answered the restore prompt, so the prompt's snapshot survives
+  let suspended = false;
+
+  const isActive = () => isAutosaveSupported() && unref(enabled) && !!unref(key);
+
+  const flush = async () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!queuedData || suspended || !isActive()) return;
+
+    const data = queuedData;
+    queuedData = null;
+    try {
+      lastAutosavedAt.value = await saveSnapshot(unref(key), data, { ttlMs, meta: queuedMeta });
+      autosaveError.value = '';
+    } catch (err) {
+      console.warn('⚠️ Autosave failed:', err);
+      autosaveError.value = 'Autosave is unavailable in this browser';
+    }
+  };
+
+  /**
+   * Queue form data to be saved after the debounce delay
+   * `meta` records where the user was (e.g. { page }) so a restore can return them there
+   */
+  const schedule = (data, meta = {}) => {
+    if (!isActive() || !data) return;
+    queuedData = data;
+    queuedMeta = meta;
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounceMs);
+  };
+
+  /**
+   * Look for a snapshot to offer the user; returns it (or null)
+   */
+  const checkForRestore = async () => {
+    pendingRestore.value = null;
+    if (!isActive()) return null;
+
+    try {
+      await purgeExpiredSnapshots();
+      pendingRestore.value = await loadSnapshot(unref(key));
+    } catch (err) {
+      console.warn('⚠️ Could not read autosaved data:', err);
+    }
+
+    suspended = !!pendingRestore.value;
+    return pendingRestore.value;
+  };
+
+  /**
+   * Accept the restore prompt; returns the saved data and meta ({ data, meta }), or null
+   */
+  const restore = () => {
+    const snapshot = pendingRestore.value;
+    pendingRestore.value = null;
+    suspended = false;
+    return snapshot ? { data: snapshot.data, meta: snapshot.meta || {} } : null;
+  };
+
+  const discard = async () => {
+    pendingRestore.value = null;
+    suspended = false;
+    await clear();
+  };
+
+  /**
+   * Remove the snapshot (e.g. after a successful submit)
+   */
+  const clear = async () => {
+    clearTimeout(timer);
+    timer = null;
+    queuedData = null;
+    lastAutosavedAt.value = null;
+    if (!isAutosaveSupported() || !unref(key)) return;
+
+    try {
+      await clearSnapshot(unref(key));
+    } catch (err) {
+      console.warn('⚠️ Could not clear autosaved data:', err);
+    }
+  };
+
+  // Save straight away when the tab is hidden: it may be about to close
+  const handleVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') flush();
+  };
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+
+  onUnmounted(() => {
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    flush();
+  });
+
+  return {
+    pendingRestore,
+    lastAutosavedAt,
+    autosaveError,
+    schedule,
+    flush,
+    checkForRestore,
+    restore,
+    discard,
+    clear
+  };
+}
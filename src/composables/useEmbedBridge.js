@@ -0,0 +1,80 @@
+import { ref, onMounted, onUnmounted } from 'vue';
+import config from '@/config/index.js';
+import { EmbedBridge, HOST_MESSAGES, FRAME_MESSAGES, isEmbedded } from '@/services/embedBridge.js';
+
+/**
+ * Composable that connects a component to the host page when running inside an iframe
+ * @param {Object} options
+ * @param {import('vue').Ref} options.formRenderer - FormIORenderer component ref
+ * @param {import('vue').Ref<boolean>} options.readOnly - Ref toggled by the host's setReadOnly message
+ */
+export function useEmbedBridge({ formRenderer, readOnly }) {
+  const enabled = isEmbedded();
+  const isReady = ref(false);
+  let bridge = null;
+  let resizeObserver = null;
+  let lastHeight = 0;
+
+  /**
+   * Send an event to the host (no-op when not embedded)
+   */
+  const notify = (type, payload) => {
+    if (type === FRAME_MESSAGES.READY) isReady.value = true;
+    bridge?.send(type, payload);
+  };
+
+  const reportHeight = () => {
+    const height = Math.ceil(document.documentElement.scrollHeight);
+    if (height !== lastHeight) {
+      lastHeight = height;
+      bridge?.send(FRAME_MESSAGES.RESIZE, { height });
+    }
+  };
+
+  onMounted(() => {
+    if (!enabled) return;
+
+    bridge = new EmbedBridge({ allowedOrigins: config.embedAllowedOrigins });
+
+    // Host reconnects (e.g. after its own reload) get the current ready state and size
+    bridge.on(HOST_MESSAGES.CONNECT, () => {
+      if (isReady.value) bridge.send(FRAME_MESSAGES.READY, {});
+      lastHeight = 0;
+      reportHeight();
+    });
+
+    bridge.on(HOST_MESSAGES.SET_DATA, ({ data }) => {
+      formRenderer.value?.setSubmission({ data: data || {} });
+    });
+
+    bridge.on(HOST_MESSAGES.SET_READ_ONLY, ({ readOnly: value }) => {
+      readOnly.value = !!value;
+    });
+
+    bridge.on(HOST_MESSAGES.SUBMIT, async () => {
+      await formRenderer.value?.submit();
+    });
+
+    bridge.on(HOST_MESSAGES.GET_DATA, () => {
+      const submission = formRenderer.value?.getSubmission();
+      return { data: submission?.data || null };
+    });
+
+    bridge.start();
+
+    // Report content height so the host can size the iframe to fit
+    resizeObserver = new ResizeObserver(() => reportHeight());
+    resizeObserver.observe(document.documentElement);
+  });
+
+  onUnmounted(() => {
+    resizeObserver?.disconnect();
+    bridge?.stop();
+    bridge = null;
+  });
+
+  return {
+    enabled,
+    notify
+  };
+}
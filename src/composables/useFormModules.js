@@ -1,11 +1,17 @@
 import { ref, reactive } from 'vue';
 import { chefsApi } from '@/services/chefsApi.js';
 import config from '@/config/index.js';
+import { componentLoader } from '@/services/componentLoader.js';
+
+// Owner of the external assets loaded for the selected module version, see componentLoader.replaceAssets()
+const EXTERNAL_ASSET_OWNER = 'form-module';
 
 /**
  * Composable for managing form module data and state
+ * @param {Object} [options]
+ * @param {ChefsApi} [options.api] - CHEFS client to use; defaults to the shared one
  */
-export function useFormModules() {
+export function useFormModules({ api = chefsApi } = {}) {
   // Reactive state
   const loading = ref(false);
   const error = ref(null);
@@ -25,7 +31,7 @@ export function useFormModules() {
 
   // Set credentials if available in environment
   if (config.formId && config.apiKey) {
-    chefsApi.setCredentials(config.formId, config.apiKey);
+    api.setCredentials(config.formId, config.apiKey);
   }
 
   /**
@@ -56,7 +62,7 @@ export function useFormModules() {
   const setCredentials = (formId, apiKey) => {
     formConfig.formId = formId;
     formConfig.apiKey = apiKey;
-    chefsApi.setCredentials(formId, apiKey);
+    api.setCredentials(formId, apiKey);
   };
 
   /**
@@ -72,7 +78,7 @@ export function useFormModules() {
     error.value = null;
 
     try {
-      const data = await chefsApi.getFormModuleVersions(formConfig.formId, formConfig.formVersionId);
+      const data = await api.getFormModuleVersions(formConfig.formId, formConfig.formVersionId);
       formModuleVersions.value = data;
       
       // If we have module versions, automatically select the first one
@@ -100,7 +106,7 @@ export function useFormModules() {
     error.value = null;
 
     try {
-      const data = await chefsApi.getFormSchema(formConfig.formId, formConfig.formVersionId);
+      const data = await api.getFormSchema(formConfig.formId, formConfig.formVersionId);
       formSchema.value = data;
       return data;
     } catch (err) {
@@ -120,7 +126,7 @@ export function useFormModules() {
     error.value = null;
 
     try {
-      const data = await chefsApi.getFormModules();
+      const data = await api.getFormModules();
       formModules.value = data;
     } catch (err) {
       error.value = `Failed to fetch form modules: ${err.message}`;
@@ -139,7 +145,7 @@ export function useFormModules() {
     error.value = null;
 
     try {
-      const data = await chefsApi.getFormModuleVersion(formModuleVersionId);
+      const data = await api.getFormModuleVersion(formModuleVersionId);
       selectedFormModuleVersion.value = data;
       return data;
     } catch (err) {
@@ -152,42 +158,24 @@ export function useFormModules() {
   };
 
   /**
-   * Load external resources (JS/CSS) from form module version
+   * Load external resources (JS, ES modules and CSS) from form module version
+   * Resources loaded for a previously selected module version are unloaded first
    * @param {Object} moduleVersion - The form module version object
    */
   const loadExternalResources = async (moduleVersion) => {
-    if (!moduleVersion || !moduleVersion.externalUris) {
+    const externalUris = moduleVersion?.externalUris || [];
+    if (externalUris.length === 0) {
       console.warn('No external URIs found in module version');
-      return;
     }
 
-    const loadPromises = moduleVersion.externalUris.map(uri => {
-      return new Promise((resolve, reject) => {
-        if (uri.endsWith('.js')) {
-          const script = document.createElement('script');
-          script.src = uri;
-          script.onload = resolve;
-          script.onerror = reject;
-          document.head.appendChild(script);
-        } else if (uri.endsWith('.css')) {
-          const link = document.createElement('link');
-          link.rel = 'stylesheet';
-          link.href = uri;
-          document.head.appendChild(link);
-          resolve();
-        } else {
-          resolve(); // Skip unknown file types
-        }
-      });
-    });
-
-    try {
-      await Promise.all(loadPromises);
-      console.log('All external resources loaded successfully');
-    } catch (err) {
-      console.error('Failed to load some external resources:', err);
-      throw err;
+    const { results } = await componentLoader.replaceAssets(EXTERNAL_ASSET_OWNER, externalUris);
+    const failed = results.filter(result => ['blocked', 'error', 'skipped'].includes(result.status));
+    if (failed.length > 0) {
+      console.error('Failed to load some external resources:', failed);
+      throw new Error(`Failed to load ${failed.map(result => result.uri).join(', ')}`);
     }
+    console.log('All external resources loaded successfully');
+    return results;
   };
 
   /**
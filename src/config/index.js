@@ -8,12 +8,136 @@ const getRuntimeEnv = (key, fallback) => {
   return import.meta.env[key] || fallback;
 };
 
+// Read a query parameter from the page URL (used for resume/entry-point links)
+const getUrlParam = (key, fallback) => {
+  if (typeof window === 'undefined') return fallback;
+  return new URLSearchParams(window.location.search).get(key) || fallback;
+};
+
+// Parse a JSON setting, falling back (with a console error) when it is malformed
+const parseJson = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error('Invalid JSON configuration value:', error.message);
+    return fallback;
+  }
+};
+
+// Non-negative number, or the fallback when unset or invalid
+const parseNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+// How the form version to render is chosen
+export const FORM_VERSION_MODES = {
+  VERSION: 'version', // a specific published version (formVersionId)
+  LATEST: 'latest',   // the latest published version
+  DRAFT: 'draft'      // a specific draft (unpublished) version (formVersionId is the draft ID)
+};
+
+// How an existing submission (submissionId) is opened
+export const SUBMISSION_MODES = {
+  VIEW: 'view',
+  EDIT: 'edit'
+};
+
 export const config = {
   // API Configuration - supports both build-time and runtime env vars
   apiUrl: getRuntimeEnv('VITE_CHEFS_BASE_URL', '') + getRuntimeEnv('VITE_CHEFS_BASE_PATH', '') || 'https://submit.digital.gov.bc.ca/app/api/v1',
   formId: getRuntimeEnv('VITE_API_FORM_ID', ''),
   formVersionId: getRuntimeEnv('VITE_API_FORM_VERSION_ID', ''),
   apiKey: getRuntimeEnv('VITE_API_KEY', ''),
+
+  // Token endpoint that mints short-lived tokens server-side (replaces the API key in the browser)
+  authTokenUrl: getRuntimeEnv('VITE_AUTH_TOKEN_URL', ''),
+
+  // Optional OIDC (Keycloak) login for forms that require IDIR/BCeID
+  oidcAuthority: getRuntimeEnv('VITE_OIDC_AUTHORITY', ''),
+  oidcClientId: getRuntimeEnv('VITE_OIDC_CLIENT_ID', ''),
+  oidcScope: getRuntimeEnv('VITE_OIDC_SCOPE', 'openid profile email'),
+  oidcIdpHint: getRuntimeEnv('VITE_OIDC_IDP_HINT', ''),
+  versionMode: getRuntimeEnv('VITE_FORM_VERSION_MODE', FORM_VERSION_MODES.VERSION),
+
+  // Draft submission to resume (?draft=<submissionId>)
+  draftId: getUrlParam('draft', ''),
+  // Wizard page (1-based, ?page=) to reopen a resumed draft or submission on
+  wizardPage: parseInt(getUrlParam('page', ''), 10) || 1,
+
+  // Existing submission to open (?submissionId=<id>&mode=view|edit)
+  submissionId: getUrlParam('submissionId', getRuntimeEnv('VITE_SUBMISSION_ID', '')),
+  submissionMode: getUrlParam('mode', getRuntimeEnv('VITE_SUBMISSION_MODE', SUBMISSION_MODES.VIEW)),
+  
+  // Prefill: whitelisted keys ("key" or "key:lock", comma separated) and an optional JSON endpoint
+  prefillFields: getRuntimeEnv('VITE_PREFILL_FIELDS', ''),
+  prefillEndpoint: getRuntimeEnv('VITE_PREFILL_ENDPOINT', ''),
+
+  // Autosave in-progress data (encrypted, in IndexedDB) and offer to restore it after a closed tab
+  autosaveEnabled: getRuntimeEnv('VITE_AUTOSAVE_ENABLED', 'true') !== 'false',
+  autosaveTtlHours: parseFloat(getRuntimeEnv('VITE_AUTOSAVE_TTL_HOURS', '24')) || 24,
+  // Minutes without use before the autosave encryption key is replaced and older snapshots become unreadable
+  autosaveKeyIdleMinutes: parseFloat(getRuntimeEnv('VITE_AUTOSAVE_KEY_IDLE_MINUTES', '30')) || 30,
+
+  // Queue submissions (and file uploads) made without network and send them when back online
+  offlineQueueEnabled: getRuntimeEnv('VITE_OFFLINE_QUEUE_ENABLED', 'true') !== 'false',
+
+  // Language for error messages (en or fr, or ?lang=); the browser's language when empty
+  locale: getUrlParam('lang', getRuntimeEnv('VITE_LOCALE', '')),
+  // Where people are sent when a form can't be used: an email address or a help page URL
+  supportContact: getRuntimeEnv('VITE_SUPPORT_CONTACT', ''),
+
+  // Review screen before submitting: 'none', 'summary' (labels and values) or 'form' (read-only render)
+  reviewMode: getRuntimeEnv('VITE_REVIEW_MODE', 'none'),
+
+  // CHEFS requests: give up after this many milliseconds; failed reads (GETs) are retried this many times
+  requestTimeoutMs: parseNumber(getRuntimeEnv('VITE_REQUEST_TIMEOUT_MS', '30000'), 30000),
+  requestRetries: parseNumber(getRuntimeEnv('VITE_REQUEST_RETRIES', '2'), 2),
+
+  // Upload files larger than this many MB in chunks that are retried and resumed one by one (0 disables).
+  // Off by default: CHEFS has no upload sessions, only the token server provides them
+  uploadChunkSizeMb: parseNumber(getRuntimeEnv('VITE_UPLOAD_CHUNK_SIZE_MB', '0'), 0),
+  uploadChunkRetries: parseNumber(getRuntimeEnv('VITE_UPLOAD_CHUNK_RETRIES', '3'), 3),
+
+  // Checks and processing applied to files before they are uploaded (see services/filePipeline.js)
+  fileProcessing: {
+    // Reject files whose content doesn't match their extension
+    verifyType: getRuntimeEnv('VITE_FILE_VERIFY_TYPE', 'true') !== 'false',
+    // Downscale images larger than this many pixels on their longest side (0 keeps the size)
+    imageMaxDimension: parseNumber(getRuntimeEnv('VITE_FILE_IMAGE_MAX_DIMENSION', '0'), 0),
+    stripImageMetadata: getRuntimeEnv('VITE_FILE_STRIP_IMAGE_METADATA', 'false') === 'true',
+    checksum: getRuntimeEnv('VITE_FILE_CHECKSUM', 'true') !== 'false',
+    // Virus scanning service each file is sent to before uploading; none when empty
+    scanEndpoint: getRuntimeEnv('VITE_FILE_SCAN_ENDPOINT', '')
+  },
+
+  // Cache form versions, module versions and component assets so repeat loads work without network
+  formCacheEnabled: getRuntimeEnv('VITE_FORM_CACHE_ENABLED', 'true') !== 'false',
+
+  // Trust policy for external component scripts listed by the CHEFS form module version
+  componentTrustPolicy: {
+    // Origins scripts may come from (same-origin scripts are always allowed); empty allows any HTTPS origin
+    allowedOrigins: getRuntimeEnv('VITE_COMPONENT_ALLOWED_ORIGINS', '')
+      .split(',')
+      .map(origin => origin.trim())
+      .filter(Boolean),
+    // JSON map of script URI -> SRI hash, or -> { integrity, components: [types the script registers] }
+    scripts: parseJson(getRuntimeEnv('VITE_COMPONENT_INTEGRITY', ''), {}),
+    // Refuse cross-origin scripts that have no SRI hash in `scripts`
+    requireIntegrity: getRuntimeEnv('VITE_COMPONENT_REQUIRE_INTEGRITY', 'false') === 'true',
+    loadTimeoutMs: parseInt(getRuntimeEnv('VITE_COMPONENT_LOAD_TIMEOUT_MS', '15000')) || 15000
+  },
+
+  // Remove form custom JavaScript that reaches outside the form (network, storage, navigation) before
+  // rendering; off by default because the form then behaves differently. Removals are shown to the user.
+  stripUnsafeCode: getRuntimeEnv('VITE_STRIP_UNSAFE_CODE', 'false') === 'true',
+
+  // Host page origins allowed to talk to the form over postMessage when embedded in an iframe
+  embedAllowedOrigins: getRuntimeEnv('VITE_EMBED_ALLOWED_ORIGINS', '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean),
   
   // Show configuration status (can be controlled independently)
   showConfigStatus: import.meta.env.VITE_SHOW_CONFIG !== 'false', // Default to true unless explicitly disabled
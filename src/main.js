@@ -3,7 +3,14 @@ import '@/assets/main.css'
 import { createApp } from 'vue'
 import { pinia } from '@/stores/index.js'
 import App from '@/App.vue'
+import config from '@/config/index.js'
+import { registerCacheWorker } from '@/services/formCache.js'
 
 const app = createApp(App)
 app.use(pinia)
 app.mount('#app')
+
+// The service worker serves the app and cached component assets when offline (not in dev, where it would fight HMR)
+if (config.formCacheEnabled && import.meta.env.PROD) {
+  registerCacheWorker()
+}
@@ -5,15 +5,23 @@
  * in a standalone application. This module can be imported and used independently.
  */
 
-import { chefsApi } from '@/services/chefsApi.js';
+import { chefsApi, createChefsApi } from '@/services/chefsApi.js';
 import { componentLoader } from '@/services/componentLoader.js';
+import { CHEFS_STORAGE, createFileService } from '@/services/chefsFileStorage.js';
+import { resolvePrefill, applyPrefillLocks } from '@/services/prefill.js';
 import { Formio } from '@formio/js';
 
+let instanceCount = 0;
+
 class ChefsEmbeddedForm {
   constructor() {
     this.formInstance = null;
     this.container = null;
     this.config = {};
+    // Each instance has its own CHEFS client, so forms on the same page keep their own credentials
+    this.api = createChefsApi();
+    // Each instance owns the external assets it loads, so destroying one leaves the others' alone
+    this.assetOwner = `chefs-embedded-form-${++instanceCount}`;
   }
 
   /**
@@ -26,31 +34,35 @@ class ChefsEmbeddedForm {
     };
 
     // Initialize file service
-    chefsApi.initialize({
+    // Prefer getToken (host callback) or tokenUrl (token endpoint) so the API key stays server-side
+    this.api.initialize({
       baseApiUrl: this.config.baseApiUrl,
       formId: this.config.formId,
-      apiKey: this.config.apiKey
+      apiKey: this.config.apiKey,
+      getToken: this.config.getToken,
+      tokenUrl: this.config.tokenUrl
     });
 
-    // Initialize component loader
+    // Initialize component loader, with any host-supplied fallbacks ({ type: 'textfield' | { type, transform } })
     componentLoader.initialize(Formio);
+    if (this.config.trustPolicy) {
+      componentLoader.setTrustPolicy(this.config.trustPolicy);
+    }
+    Object.entries(this.config.fallbacks || {}).forEach(([type, fallback]) => {
+      componentLoader.registerFallback(type, fallback);
+    });
 
     console.log('✅ CHEFS Embedded Form initialized');
   }
 
   /**
    * Load and render a CHEFS form
+   * `options.prefill` (defaults to `config.prefill`) takes the prefill options described in services/prefill.js
    */
-  async renderForm(containerElement, formSchema, externalUris = []) {
+  async renderForm(containerElement, formSchema, externalUris = [], options = {}) {
     try {
       this.container = containerElement;
 
-      // Load external BC Gov components if provided
-      if (externalUris.length > 0) {
-        console.log('📦 Loading external BC Gov components...');
-        await componentLoader.loadExternalComponents(externalUris);
-      }
-
       // Extract actual FormIO schema if wrapped in CHEFS metadata
       let schemaToUse = formSchema;
       if (formSchema.schema && typeof formSchema.schema === 'object') {
@@ -58,6 +70,21 @@ class ChefsEmbeddedForm {
         schemaToUse = formSchema.schema;
       }
 
+      // Load external BC Gov components and fall back to built-in ones for any that are unavailable
+      if (externalUris.length > 0) {
+        console.log('📦 Loading external BC Gov components...');
+      }
+      const prepared = await componentLoader.prepareFormForRendering(schemaToUse, externalUris, {
+        stripUnsafeCode: this.config.stripUnsafeCode === true,
+        owner: this.assetOwner,
+        fileStorage: CHEFS_STORAGE
+      });
+      schemaToUse = prepared.schema;
+
+      // Resolve prefill values and lock any fields that shouldn't be edited
+      const prefill = await resolvePrefill(options.prefill || this.config.prefill, schemaToUse);
+      schemaToUse = applyPrefillLocks(schemaToUse, prefill.lockedKeys);
+
       // Create FormIO options with CHEFS file service
       const formOptions = {
         sanitizeConfig: {
@@ -65,20 +92,37 @@ class ChefsEmbeddedForm {
           ALLOWED_TAGS: ['iframe'],
         },
         readOnly: this.config.readOnly || false,
+        fileService: createFileService(this.api),
         componentOptions: {
-          ...chefsApi.getComponentOptions(),
+          ...this.api.getComponentOptions(),
         }
       };
 
       console.log('🔧 Creating FormIO form with CHEFS integration...');
       
+      // Show a degraded-mode notice above the form when fallbacks were used
+      this.container.innerHTML = '';
+      if (prepared.degradedNotice) {
+        const notice = document.createElement('div');
+        notice.className = 'alert alert-warning chefs-degraded-notice';
+        notice.setAttribute('role', 'status');
+        notice.textContent = prepared.degradedNotice;
+        this.container.appendChild(notice);
+      }
+      const formElement = document.createElement('div');
+      this.container.appendChild(formElement);
+
       // Create the form
       this.formInstance = await Formio.createForm(
-        this.container, 
+        formElement, 
         schemaToUse, 
         formOptions
       );
 
+      if (Object.keys(prefill.data).length > 0) {
+        this.formInstance.submission = { data: prefill.data };
+      }
+
       // Set up event listeners
       this.formInstance.on('submit', (submission) => {
         console.log('📝 Form submitted:', submission);
@@ -104,13 +148,14 @@ class ChefsEmbeddedForm {
   }
 
   /**
-   * Destroy the form instance
+   * Destroy the form instance and unload the external assets no other form needs
    */
   destroy() {
     if (this.formInstance) {
       this.formInstance.destroy();
       this.formInstance = null;
     }
+    componentLoader.unloadAssets(this.assetOwner);
   }
 
   /**
@@ -125,7 +170,7 @@ class ChefsEmbeddedForm {
    */
   setSubmissionData(data) {
     if (this.formInstance) {
-      this.formInstance.submission = { data };
+      this.formInstance.submission = { data: componentLoader.mapFallbackValues(this.formInstance.form, data) };
     }
   }
 }
@@ -140,12 +185,45 @@ const chefsForm = new ChefsEmbeddedForm();
 await chefsForm.initialize({
   baseApiUrl: 'https://chefs-dev.apps.silver.devops.gov.bc.ca/pr-1736/api/v1',
   formId: 'your-form-id',
-  apiKey: 'your-api-key',
+  tokenUrl: 'https://your-host/token', // or getToken: async () => token, or apiKey for local development
   onSubmit: (submission) => {
     console.log('Form submitted!', submission);
   },
   onChange: (changed) => {
     console.log('Form changed!', changed);
+  },
+  // For a form with a container `mailing` (fields `street`, `city`) and a data grid `dependants`
+  // (field `name`): child keys fill inside the container and the grid's first row, a grid key takes
+  // whole rows, and a data path picks one component when a key is used more than once
+  prefill: {
+    data: {
+      applicantName: 'Jane Doe',
+      'mailing.city': 'Victoria',
+      dependants: [{ name: 'Sam Doe' }, { name: 'Alex Doe' }]
+    },
+    fromUrl: true,
+    fields: {
+      applicantName: {},
+      caseNumber: { lock: true },
+      'mailing.city': {},
+      street: {},
+      dependants: {}
+    }
+  },
+  // Only load component scripts from these origins, with these SRI hashes
+  trustPolicy: {
+    allowedOrigins: ['https://jasonchung1871.github.io'],
+    scripts: {
+      'https://jasonchung1871.github.io/chefs_modules/bcgov-formio-components.use.min.js': {
+        integrity: 'sha384-<base64 hash>',
+        components: ['simplefile', 'bcaddress', 'orgbook']
+      }
+    },
+    requireIntegrity: true
+  },
+  // Used when a custom component's script can't be loaded (defaults cover simplefile, bcaddress, orgbook)
+  fallbacks: {
+    bcgeolocation: 'textfield'
   }
 });
 
@@ -163,6 +241,10 @@ await chefsForm.renderForm(
   formSchema,
   externalUris
 );
+
+// A second form on the same page gets its own instance, credentials and client
+const consentForm = new ChefsEmbeddedForm();
+await consentForm.initialize({ formId: 'consent-form-id', tokenUrl: 'https://your-host/consent-token' });
 */
 
 export { ChefsEmbeddedForm, chefsApi };
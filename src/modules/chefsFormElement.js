@@ -0,0 +1,61 @@
+/**
+ * CHEFS Form Web Component
+ *
+ * Registers the <chefs-form> custom element so non-Vue host pages can embed a CHEFS form
+ * with a single script tag. The element renders EmbeddedForm inside a Shadow DOM, so host
+ * page styles don't leak in and the form's styles don't leak out.
+ *
+ * Events (CustomEvent, bubbling and composed):
+ * - chefs:ready  - the form has rendered ({ formId, version, form })
+ * - chefs:change - form data changed ({ data, changed, isValid })
+ * - chefs:submit - CHEFS accepted the submission ({ data, submissionId, confirmationId })
+ * - chefs:error  - loading, rendering or submitting failed ({ code, title, message, status, detail, actions },
+ *                  see services/errors.js)
+ */
+
+import { defineCustomElement } from 'vue';
+import { pinia } from '@/stores/index.js';
+import ChefsFormElementComponent from '@/components/ChefsFormElement.ce.vue';
+
+const ChefsFormElement = defineCustomElement(ChefsFormElementComponent, {
+  configureApp(app) {
+    app.use(pinia);
+  }
+});
+
+/**
+ * Register the custom element (safe to call more than once)
+ */
+const registerChefsForm = (tagName = 'chefs-form') => {
+  if (typeof window !== 'undefined' && !customElements.get(tagName)) {
+    customElements.define(tagName, ChefsFormElement);
+  }
+  return ChefsFormElement;
+};
+
+registerChefsForm();
+
+// Example usage:
+/*
+<script src="https://your-host/chefs-form.iife.js"></script>
+
+<chefs-form
+  api-url="https://submit.digital.gov.bc.ca/app/api/v1"
+  form-id="your-form-id"
+  version-id="your-form-version-id"
+  api-key="your-api-key"
+  stylesheets="https://cdn.jsdelivr.net/npm/formiojs@4.17.4/dist/formio.full.min.css"
+></chefs-form>
+
+<!-- Each element is independent: a second form can use different credentials -->
+<chefs-form form-id="consent-form-id" version-id="consent-version-id" token-url="https://your-host/consent-token"></chefs-form>
+
+<script>
+  document.querySelector('chefs-form').addEventListener('chefs:submit', (event) => {
+    console.log('Submitted!', event.detail.confirmationId);
+  });
+</script>
+*/
+
+export { ChefsFormElement, registerChefsForm };
+export default ChefsFormElement;
@@ -0,0 +1,129 @@
+import axios from 'axios';
+
+/**
+ * Auth Providers for ChefsApi
+ *
+ * Every provider exposes the same small interface:
+ * - getAuthorization({ forceRefresh }) -> Promise<string|null>  Authorization header value
+ * - peekAuthorization()                -> string|null           last value, without fetching
+ * - invalidate()                       -> void                  drop any cached credentials
+ * - canRefresh                         -> boolean               whether a 401 is worth retrying
+ */
+
+// Refresh tokens this long before they expire so requests never race the expiry
+const EXPIRY_SKEW_MS = 30 * 1000;
+
+/**
+ * Legacy form API key sent as Basic auth
+ * Only suitable for local development: the key is visible to every visitor
+ */
+class ApiKeyAuthProvider {
+  constructor(getCredentials) {
+    this.getCredentials = getCredentials;
+    this.canRefresh = false;
+  }
+
+  async getAuthorization() {
+    return this.peekAuthorization();
+  }
+
+  peekAuthorization() {
+    const { formId, apiKey } = this.getCredentials();
+    return formId && apiKey ? `Basic ${btoa(`${formId}:${apiKey}`)}` : null;
+  }
+
+  invalidate() {}
+}
+
+/**
+ * Bearer tokens supplied by the host page
+ * `getToken({ forceRefresh })` may return a token string or { token, expiresAt }
+ */
+class CallbackAuthProvider {
+  constructor(getToken) {
+    this.getToken = getToken;
+    this.canRefresh = true;
+    this.token = null;
+    this.expiresAt = null;
+  }
+
+  async getAuthorization({ forceRefresh = false } = {}) {
+    if (forceRefresh || !this.isValid()) {
+      const result = await this.getToken({ forceRefresh });
+      this.token = typeof result === 'string' ? result : result?.token || null;
+      this.expiresAt = typeof result === 'object' && result?.expiresAt ? new Date(result.expiresAt).getTime() : null;
+    }
+    return this.peekAuthorization();
+  }
+
+  isValid() {
+    if (!this.token) return false;
+    return !this.expiresAt || this.expiresAt - EXPIRY_SKEW_MS > Date.now();
+  }
+
+  peekAuthorization() {
+    return this.token ? `Bearer ${this.token}` : null;
+  }
+
+  invalidate() {
+    this.token = null;
+    this.expiresAt = null;
+  }
+}
+
+/**
+ * Short-lived tokens minted by a server-side token endpoint (see server/token-server.js)
+ * The endpoint holds the form API key, so the browser never sees it
+ */
+class TokenEndpointAuthProvider {
+  constructor({ tokenUrl, getFormId }) {
+    this.tokenUrl = tokenUrl;
+    this.getFormId = getFormId;
+    this.canRefresh = true;
+    this.tokens = new Map();
+    this.pending = new Map();
+  }
+
+  async getAuthorization({ forceRefresh = false } = {}) {
+    const formId = this.getFormId();
+    const cached = this.tokens.get(formId);
+
+    if (!forceRefresh && cached && cached.expiresAt - EXPIRY_SKEW_MS > Date.now()) {
+      return `Bearer ${cached.token}`;
+    }
+
+    // Share one in-flight request between concurrent callers
+    if (!this.pending.has(formId)) {
+      this.pending.set(formId, this.fetchToken(formId).finally(() => this.pending.delete(formId)));
+    }
+    const token = await this.pending.get(formId);
+    return `Bearer ${token}`;
+  }
+
+  async fetchToken(formId) {
+    console.log('🔐 Requesting short-lived CHEFS token');
+    const response = await axios.post(this.tokenUrl, { formId }, { withCredentials: true });
+    const { accessToken, expiresIn } = response.data;
+
+    if (!accessToken) {
+      throw new Error('Token endpoint did not return an access token');
+    }
+
+    this.tokens.set(formId, {
+      token: accessToken,
+      expiresAt: Date.now() + (expiresIn || 60) * 1000
+    });
+    return accessToken;
+  }
+
+  peekAuthorization() {
+    const cached = this.tokens.get(this.getFormId());
+    return cached ? `Bearer ${cached.token}` : null;
+  }
+
+  invalidate() {
+    this.tokens.delete(this.getFormId());
+  }
+}
+
+export { ApiKeyAuthProvider, CallbackAuthProvider, TokenEndpointAuthProvider };
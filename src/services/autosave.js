@@ -0,0 +1,243 @@
+/**
+ * Autosave Service
+ *
+ * Keeps an encrypted copy of in-progress form data in IndexedDB so a closed tab or a crash
+ * does not lose the user's work.
+ *
+ * Snapshots are encrypted with AES-GCM. The key is a non-extractable CryptoKey kept in IndexedDB, so
+ * page scripts can use it but never read its bytes. A key is only used while
+ * - the session cookie naming it is still there (it goes when the browser session ends), and
+ * - it has been used within the idle timeout stored next to it, which browsers that restore session
+ *   cookies ("continue where you left off") can't bring back, and
+ * - nobody signed out since (see forgetAutosaveKey()).
+ * Otherwise a new key replaces it, so snapshots left behind on a shared computer become unreadable
+ * (and are purged). Tabs create the key under a Web Lock, so they all end up with the same one.
+ */
+
+import appConfig from '@/config/index.js';
+import { STORES, withStore, isIndexedDbSupported } from '@/services/localDatabase.js';
+
+const KEY_ID = 'autosave';
+const KEY_LOCK = 'chefs-autosave-key';
+// Identifies the browser session the stored key belongs to; holds no key material
+const SESSION_COOKIE = 'chefs-autosave-session';
+// Held the raw key in earlier versions; removed when a key is created
+const LEGACY_KEY_COOKIE = 'chefs-autosave-key';
+// Using the key pushes its expiry back, but at most this often, so saves don't write the key every time
+const KEY_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// The key record this tab uses: { id, key, sessionId, expiresAt }
+let keyPromise = null;
+
+const isSupported = () => {
+  return isIndexedDbSupported() && typeof crypto !== 'undefined' && !!crypto.subtle;
+};
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+
+const readSessionCookie = () => {
+  const match = document.cookie.split('; ').find(entry => entry.startsWith(`${SESSION_COOKIE}=`));
+  return match ? decodeURIComponent(match.slice(SESSION_COOKIE.length + 1)) : null;
+};
+
+const keyIdleMs = () => appConfig.autosaveKeyIdleMinutes * 60 * 1000;
+
+/**
+ * Run `callback` while holding the key lock, so two tabs can't both replace the key. Browsers
+ * without Web Locks run it directly.
+ */
+const withKeyLock = (callback) => {
+  return navigator.locks ? navigator.locks.request(KEY_LOCK, callback) : callback();
+};
+
+const isUsableKey = (record, sessionId) => {
+  return !!record && !!sessionId && record.sessionId === sessionId && record.expiresAt > Date.now();
+};
+
+/**
+ * Read the stored key, or replace it when this browser session can't use it
+ */
+const loadOrCreateKey = () => withKeyLock(async () => {
+  const stored = await withStore(STORES.KEYS, 'readonly', store => store.get(KEY_ID));
+  if (isUsableKey(stored, readSessionCookie())) {
+    return stored;
+  }
+
+  // First use, a new browser session or an idle key: replace it so earlier snapshots can't be read
+  const record = {
+    id: KEY_ID,
+    key: await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']),
+    sessionId: toBase64(crypto.getRandomValues(new Uint8Array(16))),
+    expiresAt: Date.now() + keyIdleMs()
+  };
+  await withStore(STORES.KEYS, 'readwrite', store => store.put(record));
+
+  const secure = window.location.protocol === 'https:' ? '; Secure' : '';
+  // No Expires/Max-Age: the browser drops the cookie, and with it access to the key, when the session ends
+  document.cookie = `${SESSION_COOKIE}=${encodeURIComponent(record.sessionId)}; path=/; SameSite=Strict${secure}`;
+  document.cookie = `${LEGACY_KEY_COOKIE}=; path=/; Max-Age=0`;
+  return record;
+});
+
+/**
+ * Push the key's expiry back now that it is being used
+ */
+const touchKey = async (record) => {
+  const expiresAt = Date.now() + keyIdleMs();
+  if (expiresAt - record.expiresAt < KEY_TOUCH_INTERVAL_MS) return;
+
+  record.expiresAt = expiresAt;
+  await withKeyLock(() => withStore(STORES.KEYS, 'readwrite', store => {
+    const request = store.get(KEY_ID);
+    // Another tab may have replaced the key meanwhile; only extend the one this tab uses
+    request.onsuccess = () => {
+      if (request.result?.sessionId === record.sessionId) store.put({ ...request.result, expiresAt });
+    };
+    return request;
+  }));
+};
+
+/**
+ * Whether the key this tab holds can still be used: not idle, and not replaced by another tab (which
+ * changes the cookie). A missing cookie doesn't count here, so a browser that refuses cookies still
+ * keeps one key for the page.
+ */
+const isHeldKeyUsable = (record) => {
+  const sessionId = readSessionCookie();
+  return record.expiresAt > Date.now() && (!sessionId || sessionId === record.sessionId);
+};
+
+/**
+ * Get this browser session's encryption key, creating it on first use or once it has gone idle
+ */
+const getSessionKey = async () => {
+  let record = keyPromise ? await keyPromise : null;
+  if (!record || !isHeldKeyUsable(record)) {
+    // Another tab may have kept the key in use; loadOrCreateKey() reads the stored copy first
+    keyPromise = loadOrCreateKey().catch(error => {
+      keyPromise = null;
+      throw error;
+    });
+    record = await keyPromise;
+  }
+  await touchKey(record);
+  return record.key;
+};
+
+/**
+ * Delete the key, e.g. when the user signs out, so nothing autosaved so far can be read again
+ */
+export const forgetAutosaveKey = async () => {
+  if (!isSupported()) return;
+  keyPromise = null;
+  await withKeyLock(() => withStore(STORES.KEYS, 'readwrite', store => store.delete(KEY_ID)));
+  document.cookie = `${SESSION_COOKIE}=; path=/; Max-Age=0`;
+};
+
+/**
+ * Hash the snapshot key so form, version and user IDs are not stored in the clear
+ */
+const hashKey = async (key) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+  return toBase64(digest);
+};
+
+/**
+ * Build the snapshot key for a form version and (optionally) a signed-in user or existing submission
+ */
+export const buildAutosaveKey = ({ formId, formVersionId, userId, submissionId }) => {
+  return [formId, formVersionId, userId || 'anonymous', submissionId || 'new'].join(':');
+};
+
+/**
+ * Encrypt and store form data
+ * @param {string} key - Snapshot key from buildAutosaveKey()
+ * @param {Object} data - Submission data
+ * @param {Object} options
+ * @param {number} options.ttlMs - How long the snapshot may be restored
+ * @param {Object} [options.meta] - Where the user was (e.g. { page }); stored unencrypted, so no answers here
+ */
+export const saveSnapshot = async (key, data, { ttlMs, meta = {} }) => {
+  if (!isSupported()) return null;
+
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const cipherText = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    await getSessionKey(),
+    new TextEncoder().encode(JSON.stringify(data))
+  );
+
+  const savedAt = Date.now();
+  const record = {
+    id: await hashKey(key),
+    iv,
+    cipherText,
+    meta,
+    savedAt,
+    expiresAt: savedAt + ttlMs
+  };
+
+  await withStore(STORES.AUTOSAVE, 'readwrite', store => store.put(record));
+  return new Date(savedAt);
+};
+
+/**
+ * Load and decrypt a snapshot
+ * Returns { data, meta, savedAt } or null when there is none, it expired, or it belongs to an earlier session
+ */
+export const loadSnapshot = async (key) => {
+  if (!isSupported()) return null;
+
+  const id = await hashKey(key);
+  const record = await withStore(STORES.AUTOSAVE, 'readonly', store => store.get(id));
+  if (!record) return null;
+
+  if (record.expiresAt <= Date.now()) {
+    await clearSnapshot(key);
+    return null;
+  }
+
+  try {
+    const plainText = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: record.iv },
+      await getSessionKey(),
+      record.cipherText
+    );
+    return {
+      data: JSON.parse(new TextDecoder().decode(plainText)),
+      meta: record.meta || {},
+      savedAt: new Date(record.savedAt)
+    };
+  } catch {
+    // Encrypted with a key that has since been replaced (new browser session, idle or signed out)
+    console.warn('⚠️ Discarding autosaved data encrypted with a key that has been replaced');
+    await clearSnapshot(key);
+    return null;
+  }
+};
+
+export const clearSnapshot = async (key) => {
+  if (!isSupported()) return;
+  const id = await hashKey(key);
+  await withStore(STORES.AUTOSAVE, 'readwrite', store => store.delete(id));
+};
+
+/**
+ * Delete every snapshot whose TTL has passed
+ */
+export const purgeExpiredSnapshots = async () => {
+  if (!isSupported()) return;
+  await withStore(STORES.AUTOSAVE, 'readwrite', store => {
+    const request = store.index('expiresAt').openCursor(IDBKeyRange.upperBound(Date.now()));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+    return request;
+  });
+};
+
+export { isSupported as isAutosaveSupported };
@@ -1,4 +1,76 @@
 import axios from 'axios';
+import appConfig, { FORM_VERSION_MODES } from '@/config/index.js';
+import { ApiKeyAuthProvider, CallbackAuthProvider, TokenEndpointAuthProvider } from '@/services/authProviders.js';
+import {
+  isNetworkError,
+  isRetryable,
+  isPendingFileId,
+  storePendingFile,
+  getPendingFile,
+  removePendingFile,
+  markPendingFileUploaded,
+  findPendingFileIds,
+  replacePendingFileIds
+} from '@/services/offlineQueue.js';
+import { buildCacheKey, staleWhileRevalidate, invalidateFormCache } from '@/services/formCache.js';
+import { UploadManager, isUploadCancelled } from '@/services/uploadManager.js';
+import { FilePipeline } from '@/services/filePipeline.js';
+import { ConfigurationError, toChefsError } from '@/services/errors.js';
+
+// Limits applied to uploads that don't say which file component they are for
+const DEFAULT_FILE_LIMITS = { fileMinSize: '0KB', fileMaxSize: '1GB' };
+
+// Responses to creating an upload session from a file API without upload sessions (CHEFS itself;
+// the token server provides them)
+const CHUNKED_UNSUPPORTED_STATUSES = [404, 405, 501];
+
+// Requests that can safely be sent again; only these are retried
+const IDEMPOTENT_METHODS = ['get', 'head', 'options'];
+// axios codes for a request that hit its timeout
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+const BASE_REQUEST_RETRY_DELAY_MS = 500;
+const MAX_REQUEST_RETRY_DELAY_MS = 10000;
+// A Retry-After longer than this isn't waited for; the request fails instead
+const MAX_RETRY_AFTER_MS = 30000;
+
+/**
+ * Milliseconds a response's Retry-After header (seconds or an HTTP date) asks us to wait, or null
+ */
+const parseRetryAfter = (response) => {
+  const value = response?.headers?.['retry-after'];
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+/**
+ * Exponential backoff with jitter: 250-500ms, 500ms-1s, 1-2s ... capped at 10s
+ */
+const getRequestRetryDelay = (attempt) => {
+  const ceiling = Math.min(BASE_REQUEST_RETRY_DELAY_MS * 2 ** (attempt - 1), MAX_REQUEST_RETRY_DELAY_MS);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+};
+
+/**
+ * Wait before retrying, rejecting early if the request is cancelled meanwhile
+ */
+const waitForRetry = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
 
 /**
  * Unified CHEFS API Service
@@ -14,11 +86,38 @@ class ChefsApi {
       baseApiUrl: '',
       formId: '',
       apiKey: '',
-      timeout: 30000
+      // Milliseconds before a request is given up (per attempt)
+      timeout: appConfig.requestTimeoutMs,
+      // Retries for idempotent requests that fail for a temporary reason (see getRetryDelay());
+      // a request can set its own with `retry` in its axios config (false disables)
+      retries: appConfig.requestRetries,
+      // Keep files on the device when an upload fails for lack of network (see services/offlineQueue.js)
+      offlineUploads: appConfig.offlineQueueEnabled,
+      // Serve form versions and module versions from IndexedDB while refreshing them (see services/formCache.js)
+      formCache: appConfig.formCacheEnabled,
+      // Files larger than this are uploaded in resumable chunks (0 sends every file in one request).
+      // Needs the upload session routes of the token server; CHEFS has no chunked upload API.
+      uploadChunkSize: Math.round(appConfig.uploadChunkSizeMb * 1024 * 1024),
+      uploadChunkRetries: appConfig.uploadChunkRetries
     };
 
     // File operation state
     this.authToken = null;
+    // In-flight uploads; the form waits for these before submitting
+    this.uploads = new UploadManager();
+    // Type, size and content checks run on every file before it is sent (see services/filePipeline.js)
+    this.filePipeline = new FilePipeline(appConfig.fileProcessing);
+    // Cleared when the file API turns out not to support upload sessions
+    this.chunkedUploadsSupported = true;
+    // Notified when a file is uploaded to or deleted from CHEFS through this client
+    this.fileListeners = new Set();
+
+    // Pluggable auth (host token callback or token endpoint); falls back to the form API key
+    this.authProvider = null;
+    this.apiKeyProvider = new ApiKeyAuthProvider(() => ({
+      formId: this.config.formId,
+      apiKey: this.config.apiKey
+    }));
 
     // Create axios instances for different purposes
     this.createApiClients();
@@ -50,18 +149,30 @@ class ChefsApi {
     this.setupAuthInterceptors();
   }
 
+  /**
+   * Resolve the Authorization header for a request
+   * Precedence: explicit bearer token, configured auth provider, form API key
+   */
+  async resolveAuthorization({ forceRefresh = false } = {}) {
+    if (this.authToken) {
+      return `Bearer ${this.authToken}`;
+    }
+    if (this.authProvider) {
+      return this.authProvider.getAuthorization({ forceRefresh });
+    }
+    return this.apiKeyProvider.getAuthorization();
+  }
+
   /**
    * Setup authentication interceptors
    */
   setupAuthInterceptors() {
     // Main API client - always add auth headers
     this.apiClient.interceptors.request.use(
-      (config) => {
-        if (this.authToken) {
-          config.headers.Authorization = `Bearer ${this.authToken}`;
-        } else if (this.config.apiKey && this.config.formId) {
-          // Use Basic auth for CHEFS API
-          config.headers.Authorization = `Basic ${btoa(`${this.config.formId}:${this.config.apiKey}`)}`;
+      async (config) => {
+        const authorization = await this.resolveAuthorization();
+        if (authorization) {
+          config.headers.Authorization = authorization;
         }
         return config;
       },
@@ -70,16 +181,15 @@ class ChefsApi {
 
     // File client - conditional auth based on route
     this.fileClient.interceptors.request.use(
-      (config) => {
+      async (config) => {
         // Routes that require authentication
         const authRoutes = ['/files', '/submissions'];
         const requiresAuth = authRoutes.some(route => config.url?.includes(route));
         
         if (requiresAuth) {
-          if (this.authToken) {
-            config.headers.Authorization = `Bearer ${this.authToken}`;
-          } else if (this.config.apiKey && this.config.formId) {
-            config.headers.Authorization = `Basic ${btoa(`${this.config.formId}:${this.config.apiKey}`)}`;
+          const authorization = await this.resolveAuthorization();
+          if (authorization) {
+            config.headers.Authorization = authorization;
           }
         }
         
@@ -88,39 +198,110 @@ class ChefsApi {
       (error) => Promise.reject(error)
     );
 
-    // Response interceptors for error handling
+    // Refresh expired tokens once on a 401 and replay the request
     [this.apiClient, this.fileClient].forEach(client => {
       client.interceptors.response.use(
         (response) => response,
-        (error) => {
-          console.error('🔥 CHEFS API Error:', {
-            status: error.response?.status,
-            message: error.message,
-            url: error.config?.url
-          });
+        async (error) => {
+          const config = error.config;
+          const canRetry = error.response?.status === 401 &&
+            config && !config._authRetried &&
+            !this.authToken && this.authProvider?.canRefresh;
+
+          if (!canRetry) {
+            return Promise.reject(error);
+          }
+
+          console.log('🔐 Received 401, refreshing token and retrying');
+          config._authRetried = true;
+          this.authProvider.invalidate();
+          await this.resolveAuthorization({ forceRefresh: true });
+          return client(config);
+        }
+      );
+    });
 
-          // Attach the backend error detail to the error object for FormIO compatibility
-          if (error.response && error.response.data) {
-            error.detail = error.response.data.detail || error.response.data;
+    // Retry idempotent requests that failed for a temporary reason, waiting as long as the server
+    // asks (Retry-After) or backing off exponentially; the replay goes through every interceptor again
+    [this.apiClient, this.fileClient].forEach(client => {
+      client.interceptors.response.use(
+        (response) => response,
+        async (error) => {
+          const config = error.config;
+          const delay = config ? this.getRetryDelay(error, config) : null;
+          if (delay === null) {
+            return Promise.reject(error);
           }
 
-          return Promise.reject(error);
+          config._retryAttempt = (config._retryAttempt || 0) + 1;
+          const reason = error.response?.status || error.code;
+          console.warn(`⚠️ ${config.method?.toUpperCase()} ${config.url} failed (${reason}), retrying in ${delay}ms (attempt ${config._retryAttempt})`);
+          await waitForRetry(delay, config.signal);
+          return client(config);
+        }
+      );
+    });
+
+    // Response interceptors for error handling: turn failures into typed errors (see services/errors.js)
+    // that keep the CHEFS detail and response, so FormIO and retry logic can still inspect them
+    [this.apiClient, this.fileClient].forEach(client => {
+      client.interceptors.response.use(
+        (response) => response,
+        (error) => {
+          const chefsError = toChefsError(error);
+          // Already converted (a replayed request) or cancelled: nothing new to report
+          if (chefsError !== error) {
+            console.error('🔥 CHEFS API Error:', {
+              code: chefsError.code,
+              status: error.response?.status,
+              message: error.message,
+              url: error.config?.url
+            });
+          }
+          return Promise.reject(chefsError);
         }
       );
     });
   }
 
+  /**
+   * How long to wait before retrying a failed request, or null when it shouldn't be retried
+   * Only idempotent requests are retried, and only after network errors, timeouts and 408/429/5xx responses
+   */
+  getRetryDelay(error, config) {
+    const retries = config.retry ?? this.config.retries;
+    const attempt = (config._retryAttempt || 0) + 1;
+    if (!retries || attempt > retries) return null;
+    if (!IDEMPOTENT_METHODS.includes((config.method || 'get').toLowerCase())) return null;
+    if (isUploadCancelled(error) || config.signal?.aborted) return null;
+    // Offline: retrying can't help, and callers fall back to the cache or the offline queue
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return null;
+    if (!TIMEOUT_CODES.includes(error.code) && !isRetryable(error)) return null;
+
+    const retryAfter = parseRetryAfter(error.response);
+    if (retryAfter !== null) {
+      return retryAfter <= MAX_RETRY_AFTER_MS ? retryAfter : null;
+    }
+    return getRequestRetryDelay(attempt);
+  }
+
   /**
    * Initialize the service with configuration
+   * Pass `getToken` (host callback) or `tokenUrl` (token endpoint) to avoid sending the API key
    */
   initialize(config) {
     console.log('🔧 Configuring CHEFS API service');
     
+    const { getToken, tokenUrl, authProvider, ...settings } = config;
     this.config = {
       ...this.config,
-      ...config
+      ...settings
     };
 
+    if (authProvider || getToken || tokenUrl) {
+      this.configureAuth({ authProvider, getToken, tokenUrl });
+    }
+
     // Recreate clients with new configuration
     this.createApiClients();
     
@@ -137,7 +318,8 @@ class ChefsApi {
   setCredentials(formId, apiKey) {
     console.log('🔐 Setting CHEFS API credentials');
     this.config.formId = formId;
-    this.config.apiKey = apiKey;
+    // A token provider replaces the API key entirely
+    this.config.apiKey = this.authProvider ? '' : apiKey;
   }
 
   /**
@@ -152,6 +334,46 @@ class ChefsApi {
     this.fileClient.defaults.baseURL = baseApiUrl;
   }
 
+  /**
+   * Use a custom auth provider (see services/authProviders.js); pass null to fall back to the API key
+   */
+  setAuthProvider(provider) {
+    console.log('🔐 Setting auth provider:', provider ? provider.constructor.name : 'API key');
+    this.authProvider = provider;
+  }
+
+  /**
+   * Configure auth from a host token callback or a token endpoint URL
+   * Once a token provider is set the API key is no longer needed, so it is cleared
+   */
+  configureAuth({ authProvider, getToken, tokenUrl } = {}) {
+    if (authProvider) {
+      this.setAuthProvider(authProvider);
+    } else if (getToken) {
+      this.setAuthProvider(new CallbackAuthProvider(getToken));
+    } else if (tokenUrl) {
+      this.setAuthProvider(new TokenEndpointAuthProvider({ tokenUrl, getFormId: () => this.config.formId }));
+    } else {
+      return;
+    }
+    this.config.apiKey = '';
+  }
+
+  /**
+   * Whether requests can be authenticated without a form API key
+   */
+  hasTokenAuth() {
+    return !!(this.authToken || this.authProvider);
+  }
+
+  /**
+   * Whether requests run with the form's API key: sent from the browser, or added by the token
+   * server that mints TokenEndpointAuthProvider tokens. Other tokens belong to a CHEFS user.
+   */
+  usesFormApiKey() {
+    return !this.authToken && (!this.authProvider || this.authProvider instanceof TokenEndpointAuthProvider);
+  }
+
   /**
    * Set bearer token for authentication
    */
@@ -166,70 +388,446 @@ class ChefsApi {
 
   /**
    * Get form module versions from CHEFS
+   * Cached per form version; `onUpdate(versions)` is called when a background refresh finds changes
+   * Aborting `signal` cancels the request (and the background refresh)
+   */
+  async getFormModuleVersions(formId, formVersionId, { onUpdate, signal } = {}) {
+    const fetchModuleVersions = async () => {
+      try {
+        console.log('📋 Fetching form module versions from CHEFS API');
+        const response = await this.apiClient.get(`/forms/${formId}/versions/${formVersionId}/formModuleVersions`, { signal });
+        console.log('✅ Form module versions retrieved successfully');
+        return response.data;
+      } catch (error) {
+        console.error('❌ Failed to fetch form module versions:', error);
+        throw error;
+      }
+    };
+
+    if (!this.config.formCache) return fetchModuleVersions();
+
+    return staleWhileRevalidate(buildCacheKey('formModuleVersions', formId, formVersionId), fetchModuleVersions, {
+      formId,
+      describe: versions => ({ formVersionId, assets: this.getModuleAssetUrls(versions) }),
+      onRevalidate: versions => onUpdate?.(versions)
+    });
+  }
+
+  /**
+   * Absolute URLs of the external assets listed by form module versions
    */
-  async getFormModuleVersions(formId, formVersionId) {
+  getModuleAssetUrls(moduleVersions = []) {
+    return moduleVersions
+      .flatMap(moduleVersion => moduleVersion.formModuleVersion?.externalUris || [])
+      .map(entry => new URL(entry.uri || entry, window.location.href).href);
+  }
+
+  /**
+   * Get a specific form version (including its schema) from CHEFS
+   */
+  async getFormVersion(formId, formVersionId, { signal } = {}) {
     try {
-      console.log('📋 Fetching form module versions from CHEFS API');
-      const response = await this.apiClient.get(`/forms/${formId}/versions/${formVersionId}/formModuleVersions`);
-      console.log('✅ Form module versions retrieved successfully');
+      console.log(`📋 Fetching form version ${formVersionId} for form: ${formId}`);
+      const response = await this.apiClient.get(`/forms/${formId}/versions/${formVersionId}`, { signal });
+      console.log('✅ Form version retrieved successfully');
       return response.data;
     } catch (error) {
-      console.error('❌ Failed to fetch form module versions:', error);
+      console.error('❌ Failed to fetch form version:', error);
       throw error;
     }
   }
 
   /**
-   * Get form schema from CHEFS
+   * Get the latest published version of a form from CHEFS
+   * CHEFS returns form metadata with a versions array containing the published version
    */
-  async getFormSchema(formId) {
+  async getLatestFormVersion(formId, { signal } = {}) {
     try {
-      console.log(`📋 Fetching form schema for form: ${formId}`);
-      const response = await this.apiClient.get(`/forms/${formId}/version`);
-      console.log('✅ Form schema retrieved successfully');
-      
-      // Extract the actual FormIO schema from CHEFS response
-      // CHEFS API returns form metadata with a versions array containing the actual schema
-      const formData = response.data;
-      
-      if (formData.versions && formData.versions.length > 0) {
-        // Get the first (usually current) version's schema
-        const version = formData.versions[0];
-        if (version.schema) {
-          console.log('📋 Extracted FormIO schema from CHEFS version data');
-          return version.schema;
+      console.log(`📋 Fetching latest published version for form: ${formId}`);
+      const response = await this.apiClient.get(`/forms/${formId}/version`, { signal });
+      console.log('✅ Latest form version retrieved successfully');
+      return response.data;
+    } catch (error) {
+      console.error('❌ Failed to fetch latest form version:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a draft (unpublished) form version from CHEFS
+   */
+  async getFormDraft(formId, formVersionDraftId, { signal } = {}) {
+    try {
+      console.log(`📋 Fetching draft version ${formVersionDraftId} for form: ${formId}`);
+      const response = await this.apiClient.get(`/forms/${formId}/drafts/${formVersionDraftId}`, { signal });
+      console.log('✅ Form draft version retrieved successfully');
+      return response.data;
+    } catch (error) {
+      console.error('❌ Failed to fetch form draft version:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve which form version to render and return it with its schema
+   *
+   * Modes:
+   * - `version`: the published version identified by `formVersionId`
+   * - `latest`: the latest published version (`formVersionId` is ignored)
+   * - `draft`: the draft version identified by `formVersionId`
+   *
+   * `formVersionId` on the result is the published version backing the render,
+   * used for module lookups and submissions (a draft points at the version it was created from)
+   *
+   * Results are cached; when a background refresh finds that CHEFS has published a newer latest
+   * version, everything cached for the older versions is dropped. `onUpdate(fresh, stale)` is called
+   * whenever the refresh finds changes. Aborting `signal` cancels the request (and the refresh).
+   */
+  async resolveFormVersion(formId, formVersionId, { mode = FORM_VERSION_MODES.VERSION, onUpdate, signal } = {}) {
+    const fetchResolved = () => this.fetchResolvedFormVersion(formId, formVersionId, { mode, signal });
+    if (!this.config.formCache) return fetchResolved();
+
+    const versionKey = mode === FORM_VERSION_MODES.LATEST ? '' : formVersionId;
+    return staleWhileRevalidate(buildCacheKey('formVersion', mode, formId, versionKey), fetchResolved, {
+      formId,
+      describe: resolved => ({ formVersionId: resolved.formVersionId }),
+      onRevalidate: (fresh, stale) => {
+        if (mode === FORM_VERSION_MODES.LATEST && fresh.formVersionId !== stale.formVersionId) {
+          console.log(`📦 CHEFS has published version ${fresh.version} of form ${formId}`);
+          invalidateFormCache(formId, { keepVersionId: fresh.formVersionId }).catch(error => {
+            console.warn('⚠️ Could not invalidate the form cache:', error.message);
+          });
         }
+        onUpdate?.(fresh, stale);
       }
-      
-      // Fallback: return the raw response if no versions array
-      console.log('📋 Using raw response as schema (no versions array found)');
-      return formData;
-      
+    });
+  }
+
+  async fetchResolvedFormVersion(formId, formVersionId, { mode, signal }) {
+    if (mode === FORM_VERSION_MODES.LATEST) {
+      const formData = await this.getLatestFormVersion(formId, { signal });
+      const version = formData.versions?.[0];
+
+      if (!version) {
+        // Fallback: treat the raw response as the schema if no versions array
+        console.log('📋 Using raw response as schema (no versions array found)');
+        return { mode, id: null, formVersionId: null, version: null, published: true, schema: formData };
+      }
+
+      return {
+        mode,
+        id: version.id,
+        formVersionId: version.id,
+        version: version.version,
+        published: true,
+        schema: version.schema
+      };
+    }
+
+    if (!formVersionId) {
+      throw new ConfigurationError({ detail: `A form version ID is required in "${mode}" mode` });
+    }
+
+    if (mode === FORM_VERSION_MODES.DRAFT) {
+      const draft = await this.getFormDraft(formId, formVersionId, { signal });
+      return {
+        mode,
+        id: draft.id,
+        formVersionId: draft.formVersionId || null,
+        version: draft.version ?? null,
+        published: false,
+        schema: draft.schema
+      };
+    }
+
+    const version = await this.getFormVersion(formId, formVersionId, { signal });
+    return {
+      mode,
+      id: version.id,
+      formVersionId: version.id,
+      version: version.version,
+      published: version.published ?? true,
+      schema: version.schema
+    };
+  }
+
+  /**
+   * Get form schema from CHEFS for the requested version
+   */
+  async getFormSchema(formId, formVersionId, { mode = FORM_VERSION_MODES.VERSION, onUpdate, signal } = {}) {
+    try {
+      const resolved = await this.resolveFormVersion(formId, formVersionId, { mode, onUpdate, signal });
+      console.log(`📋 Extracted FormIO schema from CHEFS ${resolved.mode} data`);
+      return resolved.schema;
     } catch (error) {
       console.error('❌ Failed to fetch form schema:', error);
       throw error;
     }
   }
 
+  // ========================================
+  // SUBMISSION OPERATIONS
+  // ========================================
+
+  /**
+   * Create a submission for a form version in CHEFS
+   * Set `draft` to true to store the submission without submitting it; `metadata` is kept with the
+   * submission (e.g. { page } for the wizard page a draft was saved from)
+   */
+  async createSubmission(formId, formVersionId, data, { draft = false, metadata } = {}) {
+    try {
+      console.log(`📝 Creating ${draft ? 'draft ' : ''}submission for form version: ${formVersionId}`);
+      const response = await this.apiClient.post(`/forms/${formId}/versions/${formVersionId}/submissions`, {
+        draft,
+        submission: { data, ...(metadata && { metadata }) }
+      });
+      console.log('✅ Submission created successfully:', response.data?.confirmationId);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Failed to create submission:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a new draft submission for a form version
+   */
+  async saveDraft(formId, formVersionId, data, { metadata } = {}) {
+    return this.createSubmission(formId, formVersionId, data, { draft: true, metadata });
+  }
+
+  /**
+   * Get a submission by ID
+   * CHEFS returns the submission together with its form and version metadata
+   */
+  async getSubmission(submissionId, { signal } = {}) {
+    try {
+      console.log(`📋 Fetching submission: ${submissionId}`);
+      const response = await this.apiClient.get(`/submissions/${submissionId}`, { signal });
+      console.log('✅ Submission retrieved successfully');
+      return response.data;
+    } catch (error) {
+      console.error('❌ Failed to fetch submission:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the status history of a submission (most recent first)
+   */
+  async getSubmissionStatus(submissionId, { signal } = {}) {
+    try {
+      console.log(`📋 Fetching status for submission: ${submissionId}`);
+      const response = await this.apiClient.get(`/submissions/${submissionId}/status`, { signal });
+      return response.data;
+    } catch (error) {
+      console.error('❌ Failed to fetch submission status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The current user's permissions on a submission: those granted on the submission itself (e.g. to
+   * its submitter) and those of their roles on the form (e.g. reviewers)
+   * Needs a CHEFS user token; CHEFS doesn't answer these for a form API key.
+   * @returns {Promise<string[]>} Permission codes such as 'submission_read' and 'submission_update'
+   */
+  async getSubmissionPermissions(submissionId, { formId = this.config.formId, signal } = {}) {
+    console.log(`🔑 Fetching permissions for submission: ${submissionId}`);
+    const [submissionResult, formResult] = await Promise.allSettled([
+      this.apiClient.get('/rbac/current/submissions', { params: { formSubmissionId: submissionId }, signal }),
+      this.apiClient.get('/rbac/current', { params: { formId }, signal })
+    ]);
+    if (submissionResult.status === 'rejected' && formResult.status === 'rejected') {
+      console.error('❌ Failed to fetch submission permissions:', submissionResult.reason);
+      throw submissionResult.reason;
+    }
+
+    const submissions = submissionResult.value?.data;
+    const submissionEntry = Array.isArray(submissions)
+      ? submissions.find(entry => entry.formSubmissionId === submissionId)
+      : null;
+    const formEntry = formResult.value?.data?.forms?.find(form => form.formId === formId);
+
+    return [...new Set([...(submissionEntry?.permissions || []), ...(formEntry?.permissions || [])])];
+  }
+
+  /**
+   * Update the data of an existing submission
+   */
+  async updateSubmission(submissionId, data, { draft = false, metadata } = {}) {
+    try {
+      console.log(`📝 Updating ${draft ? 'draft ' : ''}submission: ${submissionId}`);
+      const response = await this.apiClient.put(`/submissions/${submissionId}`, {
+        draft,
+        submission: { data, ...(metadata && { metadata }) }
+      });
+      console.log('✅ Submission updated successfully');
+      return response.data;
+    } catch (error) {
+      console.error('❌ Failed to update submission:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an existing draft submission
+   * Pass `draft: false` to submit the draft as the final submission
+   */
+  async updateDraft(submissionId, data, { draft = true, metadata } = {}) {
+    return this.updateSubmission(submissionId, data, { draft, metadata });
+  }
+
+  /**
+   * Get a draft submission by ID
+   */
+  async getDraft(submissionId, options) {
+    return this.getSubmission(submissionId, options);
+  }
+
   // ========================================
   // FILE OPERATIONS
   // ========================================
 
+  /**
+   * Upload a file for a file component
+   * The file goes through the file pipeline first; files it rejects are never sent.
+   * Files larger than one chunk are sent in chunks, each retried on its own, when the file API supports it
+   * @param {File} file
+   * @param {Object} [options] - Also passed to axios for single-request uploads
+   * @param {Object} [options.component] - Schema of the file component, for its type and size limits
+   * @param {AbortSignal} [options.signal] - Cancels the upload
+   * @param {Function} [options.onUploadProgress] - Axios-style progress callback ({ loaded, total, progress })
+   * @param {Function} [options.onProgress] - ({ id, loaded, total, progress }) => void, id as used by cancelUpload()
+   * @throws {FileRejectedError} When the file pipeline rejects the file
+   */
   async uploadFile(file, options = {}) {
-    const uploadConfig = {
-      ...options,
-      formId: this.config.formId,
+    const { component = DEFAULT_FILE_LIMITS, signal, onUploadProgress, onProgress, ...requestConfig } = options;
+    const prepared = await this.filePipeline.process(file, component);
+
+    const send = async (upload) => {
+      try {
+        return await this.sendFile(prepared.file, { ...requestConfig, ...upload, checksum: prepared.checksum });
+      } catch (error) {
+        // Offline: keep the file locally and upload it with the submission later
+        if (!isUploadCancelled(error) && this.config.offlineUploads && isNetworkError(error)) {
+          return storePendingFile(prepared.file, this.config.formId);
+        }
+        throw error;
+      }
     };
+
+    const stored = await this.uploads.track(prepared.file, send, {
+      signal,
+      onProgress: event => {
+        onProgress?.(event);
+        onUploadProgress?.({ loaded: event.loaded, total: event.total, progress: event.progress });
+      }
+    });
+    if (stored?.id && !isPendingFileId(stored.id)) {
+      this.notifyFileChange('uploaded', stored.id);
+    }
+    return stored;
+  }
+
+  /**
+   * Send a file to CHEFS, in chunks when it is large enough
+   * @param {File} file
+   * @param {Object} options
+   * @param {AbortSignal} options.signal
+   * @param {Function} options.onProgress - (bytes uploaded) => void
+   * @param {string} [options.checksum] - SHA-256 of the file; upload sessions verify the assembled file with it
+   */
+  async sendFile(file, { signal, onProgress, checksum = null, ...requestConfig }) {
+    const chunkSize = this.config.uploadChunkSize;
+    if (chunkSize > 0 && file.size > chunkSize && this.chunkedUploadsSupported) {
+      try {
+        return await this.uploads.uploadInChunks(file, this.getChunkTransport(), {
+          chunkSize,
+          retries: this.config.uploadChunkRetries,
+          checksum,
+          scope: this.config.formId,
+          signal,
+          onProgress
+        });
+      } catch (error) {
+        if (!error.chunkedUploadsUnsupported) throw error;
+        // Still upload the file, but don't let a misconfiguration pass for working resumable uploads
+        console.warn(
+          '⚠️ Resumable uploads are not available: the file API has no upload sessions (CHEFS only provides them ' +
+          'through server/token-server.js). Set VITE_UPLOAD_CHUNK_SIZE_MB=0 or route uploads through the token ' +
+          'server. Files are now sent in one request and an interrupted upload starts over.'
+        );
+      }
+    }
+
     const formData = new FormData();
     formData.append('files', file);
+    // CHEFS doesn't check a checksum, and a custom header would make every upload a CORS preflight
     const response = await this.fileClient.post(`/files?formId=${this.config.formId}`, formData, {
       headers: { 'Content-Type': 'multipart/form-data' },
-      ...uploadConfig,
+      ...requestConfig,
+      signal,
+      onUploadProgress: event => onProgress(event.loaded)
     });
     return response.data;
   }
 
+  /**
+   * Upload session requests used by UploadManager.uploadInChunks()
+   */
+  getChunkTransport() {
+    return {
+      createSession: async (details, { signal }) => {
+        try {
+          const response = await this.fileClient.post(`/files/uploads?formId=${this.config.formId}`, details, { signal });
+          return response.data;
+        } catch (error) {
+          if (CHUNKED_UNSUPPORTED_STATUSES.includes(error?.response?.status)) {
+            this.chunkedUploadsSupported = false;
+            error.chunkedUploadsUnsupported = true;
+          }
+          throw error;
+        }
+      },
+      getSession: async (sessionId, { signal }) => {
+        const response = await this.fileClient.get(`/files/uploads/${sessionId}`, { signal });
+        return response.data;
+      },
+      sendChunk: async (sessionId, index, chunk, { start, end, total, signal, onProgress }) => {
+        await this.fileClient.put(`/files/uploads/${sessionId}/chunks/${index}`, chunk, {
+          headers: {
+            'Content-Type': 'application/octet-stream',
+            'Content-Range': `bytes ${start}-${end - 1}/${total}`
+          },
+          signal,
+          onUploadProgress: event => onProgress(event.loaded)
+        });
+      },
+      complete: async (sessionId, { signal }) => {
+        const response = await this.fileClient.post(`/files/uploads/${sessionId}/complete`, null, { signal });
+        return response.data;
+      }
+    };
+  }
+
+  /**
+   * Cancel an upload started by uploadFile()
+   * @param {string} [uploadId] - From the progress events; cancels every upload when omitted
+   */
+  cancelUpload(uploadId) {
+    if (uploadId) {
+      this.uploads.cancel(uploadId);
+    } else {
+      this.uploads.cancelAll();
+    }
+  }
+
   async getFile(fileId, options = {}) {
+    if (isPendingFileId(fileId)) {
+      const pending = await getPendingFile(fileId);
+      return pending?.file || null;
+    }
     const response = await this.fileClient.get(`/files/${fileId}`, { responseType: 'blob', ...options });
     return response.data;
   }
@@ -239,10 +837,98 @@ class ChefsApi {
    * Actually delete a file from CHEFS (internal method)
    */
   async deleteFile(fileId) {
+    if (isPendingFileId(fileId)) {
+      await removePendingFile(fileId);
+      return null;
+    }
     const response = await this.fileClient.delete(`/files/${fileId}`);
+    this.notifyFileChange('deleted', fileId);
     return response.data;
   }
 
+  /**
+   * Delete files while the page is being left, when ordinary requests may be cut off
+   * With the token server, the IDs and the current token go in one navigator.sendBeacon() to its
+   * /files/release route (beacons can't carry the Authorization header); it deletes only files uploaded
+   * for this form that no final submission uses. Otherwise each file is deleted with a keepalive request,
+   * which browsers may drop while unloading. Best effort: nothing reports whether it worked.
+   * @param {string[]} fileIds
+   */
+  releaseFiles(fileIds) {
+    if (fileIds.length === 0) return;
+
+    const authorization = this.getCurrentAuthHeader();
+    if (this.authProvider instanceof TokenEndpointAuthProvider) {
+      const token = (authorization || '').replace(/^Bearer\s+/i, '');
+      // text/plain keeps the beacon a simple request, so a cross-origin token server needs no preflight
+      const body = new Blob([JSON.stringify({ token, fileIds })], { type: 'text/plain' });
+      const releaseUrl = `${this.fileClient.defaults.baseURL}/files/release`;
+      if (token && navigator.sendBeacon?.(releaseUrl, body)) {
+        console.log(`📁 Sent release beacon for ${fileIds.length} abandoned file(s)`);
+      } else if (token) {
+        fetch(releaseUrl, { method: 'POST', keepalive: true, body }).catch(() => {});
+      }
+      return;
+    }
+
+    fileIds.forEach(fileId => {
+      fetch(`${this.fileClient.defaults.baseURL}/files/${fileId}`, {
+        method: 'DELETE',
+        keepalive: true,
+        headers: authorization ? { Authorization: authorization } : {}
+      }).catch(() => {});
+    });
+  }
+
+  /**
+   * @param {Function} listener - ({ type: 'uploaded' | 'deleted', fileId }) => void
+   * @returns {Function} Unsubscribe
+   */
+  subscribeFiles(listener) {
+    this.fileListeners.add(listener);
+    return () => this.fileListeners.delete(listener);
+  }
+
+  notifyFileChange(type, fileId) {
+    this.fileListeners.forEach(listener => listener({ type, fileId }));
+  }
+
+  /**
+   * Upload files that were stored while offline and point the submission data at the uploaded files
+   * Returns the data unchanged when it references no stored files
+   */
+  async uploadPendingFiles(data) {
+    const pendingIds = findPendingFileIds(data);
+    if (pendingIds.length === 0) return data;
+
+    const replacements = {};
+    for (const pendingId of pendingIds) {
+      const pending = await getPendingFile(pendingId);
+      if (!pending) {
+        throw new Error(`File stored for upload is no longer available (${pendingId})`);
+      }
+
+      // Uploaded on an earlier attempt that failed later on
+      if (pending.uploadedId) {
+        replacements[pendingId] = pending.uploadedId;
+        continue;
+      }
+
+      const formData = new FormData();
+      formData.append('files', pending.file, pending.name);
+      const response = await this.fileClient.post(`/files?formId=${pending.formId}`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      replacements[pendingId] = response.data.id;
+      await markPendingFileUploaded(pendingId, response.data.id);
+      console.log('📁 Uploaded file stored while offline:', pending.name);
+    }
+
+    // Only forget the local copies once every upload has succeeded
+    await Promise.all(pendingIds.map(removePendingFile));
+    return replacePendingFileIds(data, replacements);
+  }
+
   // ========================================
   // COMPONENT INTEGRATION
   // ========================================
@@ -270,27 +956,33 @@ class ChefsApi {
       simplefile: {
         // Additional CHEFS-specific configuration
         config: {
-          timeout: 30000,
+          timeout: this.config.timeout,
           // Upload configuration for the new component
           uploads: {
             enabled: true,
             fileMinSize: '0KB',
             fileMaxSize: '1GB',
-            path: 'files'
+            path: 'files',
+            chunkSize: this.config.uploadChunkSize,
+            // False once the file API turned out to have no upload sessions
+            resumable: this.config.uploadChunkSize > 0 && this.chunkedUploadsSupported
           },
           // API configuration
           basePath: '',
           apiPath: 'api/v1'
         },
         // Auth configuration - this should be used by the component for headers
-        auth: {
-          type: 'basic',
-          credentials: btoa(`${this.config.formId}:${this.config.apiKey}`)
-        },
+        // Token auth never exposes the API key; components use chefsToken() for the current header
+        auth: this.hasTokenAuth()
+          ? { type: 'bearer' }
+          : { type: 'basic', credentials: btoa(`${this.config.formId}:${this.config.apiKey}`) },
         // Function-based approach for compatibility
         uploadFile: this.uploadFile.bind(this),
         deleteFile: this.deleteFile.bind(this),
         getFile: this.getFile.bind(this),
+        cancelUpload: this.cancelUpload.bind(this),
+        // Progress of every upload for this form: (listener({ uploads, active, progress })) => unsubscribe
+        subscribeUploads: this.uploads.subscribe.bind(this.uploads),
         chefsToken: this.getCurrentAuthHeader.bind(this),
         // Also provide direct access to config values
         baseUrl: this.config.baseApiUrl,
@@ -311,10 +1003,10 @@ class ChefsApi {
   getCurrentAuthHeader() {
     if (this.authToken) {
       return `Bearer ${this.authToken}`;
-    } else if (this.config.apiKey && this.config.formId) {
-      return `Basic ${btoa(`${this.config.formId}:${this.config.apiKey}`)}`;
+    } else if (this.authProvider) {
+      return this.authProvider.peekAuthorization();
     }
-    return null;
+    return this.apiKeyProvider.peekAuthorization();
   }
 
   /**
@@ -323,13 +1015,26 @@ class ChefsApi {
   getConfig() {
     return {
       ...this.config,
-      apiKey: this.config.apiKey ? '***SET***' : 'NOT_SET'
+      apiKey: this.config.apiKey ? '***SET***' : 'NOT_SET',
+      authProvider: this.authProvider ? this.authProvider.constructor.name : 'ApiKey'
     };
   }
 }
 
-// Create singleton instance
+// Create singleton instance (used by the page's main form)
 const chefsApi = new ChefsApi();
 
-export { chefsApi, ChefsApi };
+/**
+ * Create an independent client with its own auth and config, e.g. for a second form on the same page
+ * @param {Object} [config] - Settings for initialize()
+ */
+const createChefsApi = (config) => {
+  const api = new ChefsApi();
+  if (config) {
+    api.initialize(config);
+  }
+  return api;
+};
+
+export { chefsApi, ChefsApi, createChefsApi };
 export default chefsApi;
@@ -0,0 +1,71 @@
+/**
+ * CHEFS File Storage
+ *
+ * A FormIO storage provider (`storage: 'chefs'`) that keeps files in CHEFS `/files`, for built-in file
+ * components standing in for the CHEFS simplefile component (see DEFAULT_FALLBACKS in componentLoader.js).
+ * Uploads go through the form's own CHEFS client, so they use its credentials, the file pipeline and
+ * upload tracking. Files removed from the field are deleted when the form is submitted (see the
+ * chefsForm store). Values are stored the way simplefile stores them, so CHEFS reads them the same:
+ *   { storage: 'chefs', name, originalName, size, type, url: '<api>/files/<id>', data: { id } }
+ *
+ * FormIO builds providers from the form's fileService; createFileService() gives a form one that
+ * carries its CHEFS client.
+ */
+
+import { Formio, Providers } from 'formiojs';
+
+export const CHEFS_STORAGE = 'chefs';
+
+/**
+ * FormIO calls providers with `new`, so this can't be an arrow function
+ * @param {Object} fileService - From createFileService()
+ */
+function chefsStorage(fileService) {
+  const api = fileService.chefsApi;
+
+  return {
+    title: 'CHEFS',
+    name: CHEFS_STORAGE,
+
+    async uploadFile(file, fileName, dir, progressCallback, url, options, fileKey, groupPermissions, groupId, abortCallback) {
+      const controller = new AbortController();
+      abortCallback?.(() => controller.abort());
+
+      const stored = await api.uploadFile(file, {
+        signal: controller.signal,
+        onUploadProgress: event => progressCallback?.({ loaded: event.loaded, total: event.total })
+      });
+      if (!stored?.id) {
+        throw new Error('Upload did not complete');
+      }
+      return {
+        storage: CHEFS_STORAGE,
+        name: fileName,
+        originalName: file.name,
+        size: file.size,
+        type: file.type,
+        url: `${api.fileClient.defaults.baseURL}/files/${stored.id}`,
+        data: { id: stored.id }
+      };
+    },
+
+    async downloadFile(fileInfo) {
+      const blob = await api.getFile(fileInfo.data?.id);
+      return { ...fileInfo, url: blob ? URL.createObjectURL(blob) : fileInfo.url };
+    }
+  };
+}
+chefsStorage.title = 'CHEFS';
+
+Providers.addProvider('storage', CHEFS_STORAGE, chefsStorage);
+
+/**
+ * FormIO file service for one form: storage providers it creates reach that form's CHEFS client.
+ * Other storage types behave as with FormIO's default file service.
+ * @param {Object} api - The form's ChefsApi client
+ */
+export const createFileService = (api) => {
+  const fileService = new Formio();
+  fileService.chefsApi = api;
+  return fileService;
+};
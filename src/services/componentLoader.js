@@ -6,17 +6,133 @@
  * 
  * Supports:
  * - Runtime imports (ES modules)
- * - External URIs (CDN, server-hosted components)
+ * - External URIs (CDN, server-hosted components): scripts, ES modules and stylesheets,
+ *   loaded in dependency order and unloaded when the form that needed them goes away
  * - Fallback to standard FormIO components
  * - Component validation and registration
+ * - A trust policy for external scripts (allowed origins, HTTPS, SRI hashes, load timeouts)
+ *
+ * External scripts must run in the page to register FormIO components, so they can't be isolated;
+ * the trust policy decides which scripts are loaded at all and checks what they register.
  */
 
+import config from '@/config/index.js';
+
+const DEFAULT_LOAD_TIMEOUT_MS = 15000;
+
+const ASSET_KINDS = ['script', 'module', 'style'];
+const LOADED_STATUSES = ['loaded', 'cached', 'deduped'];
+const DEFAULT_ASSET_OWNER = 'default';
+
+// Properties carried over when a missing component is swapped for a built-in fallback
+const PRESERVED_PROPERTIES = [
+  'key', 'label', 'hideLabel', 'labelPosition', 'placeholder', 'description', 'tooltip',
+  'prefix', 'suffix', 'defaultValue', 'multiple', 'hidden', 'disabled', 'tableView',
+  'persistent', 'protected', 'clearOnHide', 'input', 'validate', 'validateOn', 'errors',
+  'conditional', 'customConditional', 'logic', 'calculateValue', 'allowCalculateOverride',
+  'properties', 'tags', 'customClass', 'attributes'
+];
+
+// Places a component keeps its children; kept when the fallback is itself a layout component
+const CHILD_CONTAINERS = ['components', 'columns', 'rows'];
+const CONTAINER_TYPES = ['panel', 'fieldset', 'well', 'columns', 'table', 'tabs', 'container', 'datagrid', 'editgrid'];
+
+// Custom JavaScript that reaches outside the form (network, storage, navigation, dynamic code)
+const UNSAFE_CODE_PATTERNS = [
+  { pattern: /\beval\s*\(/, reason: 'calls eval()' },
+  { pattern: /\bFunction\s*\(|\.constructor\s*\(/, reason: 'creates functions dynamically' },
+  { pattern: /\bfetch\s*\(|XMLHttpRequest|\bWebSocket\b|sendBeacon|\bimport\s*\(/, reason: 'makes network requests' },
+  { pattern: /document\.cookie|localStorage|sessionStorage|indexedDB/, reason: 'reads browser storage' },
+  { pattern: /(?:window|document|top|parent)\.location|location\.(?:href|assign|replace)/, reason: 'navigates the page' },
+  { pattern: /document\.write|innerHTML|outerHTML|insertAdjacentHTML/, reason: 'writes HTML into the page' },
+  { pattern: /postMessage/, reason: 'sends messages to other windows' }
+];
+
+// Properties that hold the readable text of an object value (address features, lookup results)
+const TEXT_PROPERTIES = ['fullAddress', 'label', 'text', 'name', 'value'];
+
+/**
+ * Text a text field can show for a value a custom component stored as an object
+ * (e.g. a BC address geocoder feature keeps the address in `properties.fullAddress`)
+ */
+const toText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'object') return String(value);
+
+  const source = value.properties && typeof value.properties === 'object' ? { ...value, ...value.properties } : value;
+  const property = TEXT_PROPERTIES.find(name => typeof source[name] === 'string' && source[name]);
+  return property ? source[property] : '';
+};
+
+/**
+ * Built-in fallbacks for BC Gov custom components
+ * A fallback is a built-in type name, or { type, transform(component, context), toValue(value) } where
+ * transform returns extra properties for the replacement (context: { fileStorage }, see
+ * prepareFormForRendering()) and toValue converts a stored value into one the replacement can show
+ * (see mapFallbackValues()). `simple<type>` components fall back to `<type>` automatically.
+ */
+const DEFAULT_FALLBACKS = {
+  simplefile: {
+    type: 'file',
+    transform: (component, { fileStorage }) => fileStorage
+      ? {
+        storage: fileStorage,
+        filePattern: component.filePattern,
+        fileMinSize: component.fileMinSize,
+        fileMaxSize: component.fileMaxSize
+      }
+      // Nowhere to upload to: show the field, but don't let it block the rest of the form
+      : {
+        disabled: true,
+        validate: { ...component.validate, required: false },
+        description: 'File upload is not available right now.'
+      }
+  },
+  bcaddress: {
+    type: 'textfield',
+    transform: (component) => ({
+      placeholder: component.placeholder || 'Enter the full address'
+    }),
+    toValue: toText
+  },
+  orgbook: {
+    type: 'textfield',
+    transform: (component) => ({
+      placeholder: component.placeholder || 'Enter the registered business name'
+    }),
+    toValue: toText
+  },
+  simplecols2: 'columns',
+  simplecols3: 'columns',
+  simplecols4: 'columns'
+};
+
+/**
+ * Copy of `values` with `update` applied to the value at `path`; arrays (grid rows) are walked row by row
+ */
+const updateAtPath = (values, [key, ...rest], update) => {
+  if (Array.isArray(values)) return values.map(row => updateAtPath(row, [key, ...rest], update));
+  if (!values || typeof values !== 'object' || !(key in values)) return values;
+
+  return {
+    ...values,
+    [key]: rest.length === 0 ? update(values[key]) : updateAtPath(values[key], rest, update)
+  };
+};
+
 class ComponentLoader {
   constructor() {
     this.loadedComponents = new Map();
     this.loadingPromises = new Map();
     this.componentRegistry = new Map();
     this.fallbackComponents = new Map();
+    this.fallbackRules = new Map();
+    this.policyViolations = [];
+    this.assets = new Map();
+    this.moduleRegistrations = new Map();
+
+    this.setTrustPolicy(config.componentTrustPolicy);
+    Object.entries(DEFAULT_FALLBACKS).forEach(([type, fallback]) => this.registerFallback(type, fallback));
   }
 
   /**
@@ -45,86 +161,518 @@ class ComponentLoader {
     });
   }
 
+  // ========================================
+  // TRUST POLICY
+  // ========================================
+
+  /**
+   * Replace the trust policy for external component scripts
+   * @param {Object} policy
+   * @param {string[]} [policy.allowedOrigins] - Allowed script origins; empty allows any HTTPS origin
+   * @param {Object} [policy.scripts] - URI -> SRI hash, or URI -> { integrity, components: [expected types], type, dependsOn }
+   * @param {boolean} [policy.requireIntegrity] - Refuse cross-origin scripts without an SRI hash
+   * @param {number} [policy.loadTimeoutMs] - Give up on a script that hasn't loaded after this long
+   */
+  setTrustPolicy(policy = {}) {
+    const scripts = new Map();
+    Object.entries(policy.scripts || {}).forEach(([uri, entry]) => {
+      const rule = typeof entry === 'string' ? { integrity: entry } : entry;
+      scripts.set(this.resolveUri(uri), {
+        integrity: rule.integrity || null,
+        components: rule.components || null,
+        type: rule.type || null,
+        dependsOn: rule.dependsOn || null
+      });
+    });
+
+    this.trustPolicy = {
+      allowedOrigins: (policy.allowedOrigins || []).map(origin => origin.replace(/\/$/, '')),
+      scripts,
+      requireIntegrity: !!policy.requireIntegrity,
+      loadTimeoutMs: policy.loadTimeoutMs || DEFAULT_LOAD_TIMEOUT_MS
+    };
+  }
+
+  resolveUri(uri) {
+    try {
+      return new URL(uri, window.location.href).href;
+    } catch {
+      return uri;
+    }
+  }
+
   /**
-   * Load components from external URIs (BC Government custom components)
+   * Check a script URI against the trust policy
+   * Returns { allowed, url, integrity, expectedComponents, violation }
    */
-  async loadExternalComponents(externalUris = []) {
+  checkTrustPolicy(uri) {
+    const policy = this.trustPolicy;
+    let url;
+    try {
+      url = new URL(uri, window.location.href);
+    } catch {
+      return { allowed: false, violation: { code: 'invalid_uri', reason: 'is not a valid URL' } };
+    }
+
+    const rule = policy.scripts.get(url.href) || {};
+    const result = {
+      allowed: true,
+      url: url.href,
+      integrity: rule.integrity || null,
+      expectedComponents: rule.components || null,
+      violation: null
+    };
+
+    // Scripts served with the app are as trusted as the app itself
+    if (url.origin === window.location.origin) return result;
+
+    const refuse = (code, reason) => ({ ...result, allowed: false, violation: { code, reason } });
+    if (url.protocol !== 'https:') {
+      return refuse('insecure_uri', 'is not served over HTTPS');
+    }
+    if (policy.allowedOrigins.length > 0 && !policy.allowedOrigins.includes(url.origin)) {
+      return refuse('origin_not_allowed', `comes from ${url.origin}, which is not an allowed origin`);
+    }
+    if (policy.requireIntegrity && !result.integrity) {
+      return refuse('missing_integrity', 'has no SRI hash configured');
+    }
+    return result;
+  }
+
+  recordViolation(uri, { code, reason }) {
+    const violation = { uri, code, message: `${uri} ${reason}`, at: new Date().toISOString() };
+    this.policyViolations = [...this.policyViolations.filter(item => item.uri !== uri || item.code !== code), violation];
+    console.error('🔒 External asset policy violation:', violation.message);
+    return violation;
+  }
+
+  // ========================================
+  // EXTERNAL ASSETS
+  // ========================================
+
+  /**
+   * Describe an external URI entry
+   * An entry is a URI or { uri, type: 'script' | 'module' | 'style', dependsOn: [uris] }.
+   * Anything the entry leaves out comes from the trust policy rule for the URI, then the file extension.
+   */
+  describeAsset(entry) {
+    const asset = typeof entry === 'string' ? { uri: entry } : { ...entry };
+    const rule = this.trustPolicy.scripts.get(this.resolveUri(asset.uri)) || {};
+    const path = asset.uri.split(/[?#]/)[0].toLowerCase();
+
+    let kind = asset.type || rule.type;
+    if (!ASSET_KINDS.includes(kind)) {
+      if (path.endsWith('.css')) kind = 'style';
+      else if (path.endsWith('.mjs')) kind = 'module';
+      else kind = 'script';
+    }
+
+    return { uri: asset.uri, kind, dependsOn: asset.dependsOn || rule.dependsOn || [] };
+  }
+
+  /**
+   * Sort assets so each one comes after the assets it depends on, keeping the given order otherwise
+   * Returns { ordered, cyclic } where cyclic holds the URIs of assets that depend on each other
+   */
+  orderAssets(assets) {
+    const byUri = new Map(assets.map(asset => [asset.uri, asset]));
+    const state = new Map();
+    const ordered = [];
+    const cyclic = new Set();
+
+    const visit = (asset, path) => {
+      if (state.get(asset.uri) === 'done') return;
+      if (state.get(asset.uri) === 'visiting') {
+        path.slice(path.indexOf(asset.uri)).forEach(uri => cyclic.add(uri));
+        return;
+      }
+
+      state.set(asset.uri, 'visiting');
+      asset.dependsOn
+        .filter(dependency => byUri.has(dependency))
+        .forEach(dependency => visit(byUri.get(dependency), [...path, asset.uri]));
+      state.set(asset.uri, 'done');
+      ordered.push(asset);
+    };
+
+    assets.forEach(asset => visit(asset, []));
+    return { ordered, cyclic };
+  }
+
+  /**
+   * Load components and styles from external URIs (BC Government custom components)
+   * Every URI is checked against the trust policy first; refused URIs are reported, not loaded.
+   * Stylesheets load in parallel; scripts and modules run one at a time so the components each
+   * one registers can be told apart. An asset whose dependency fails is skipped.
+   * @param {Array<string|Object>} externalUris - URIs or asset entries, see describeAsset()
+   * @param {Object} options
+   * @param {string} [options.owner] - Who needs the assets; they stay loaded until every owner releases them
+   */
+  async loadExternalComponents(externalUris = [], { owner = DEFAULT_ASSET_OWNER } = {}) {
     if (!externalUris.length) {
       console.log('No external components to load');
-      return { success: true, loadedComponents: [] };
+      return { success: true, results: [] };
     }
 
     console.log('Loading external components from URIs:', externalUris);
-    const results = [];
-
-    for (const uri of externalUris) {
-      try {
-        if (this.loadedComponents.has(uri)) {
-          console.log(`Component from ${uri} already loaded`);
-          results.push({ uri, status: 'cached', components: this.loadedComponents.get(uri) });
-          continue;
-        }
+    const assets = [...new Map(externalUris.map(entry => {
+      const asset = this.describeAsset(entry);
+      return [asset.uri, asset];
+    })).values()];
+    const { ordered, cyclic } = this.orderAssets(assets);
 
-        // Prevent duplicate loading
-        if (this.loadingPromises.has(uri)) {
-          console.log(`Waiting for ${uri} to finish loading...`);
-          await this.loadingPromises.get(uri);
-          results.push({ uri, status: 'deduped', components: this.loadedComponents.get(uri) });
-          continue;
-        }
+    const pending = new Map();
+    let scriptChain = Promise.resolve();
 
-        const loadPromise = this.loadScriptFromUri(uri);
-        this.loadingPromises.set(uri, loadPromise);
-
-        const componentInfo = await loadPromise;
-        this.loadedComponents.set(uri, componentInfo);
-        this.loadingPromises.delete(uri);
+    for (const asset of ordered) {
+      if (cyclic.has(asset.uri)) {
+        console.error(`Circular dependency between external assets involving ${asset.uri}`);
+        pending.set(asset.uri, Promise.resolve({ uri: asset.uri, kind: asset.kind, status: 'error', error: 'Circular dependency' }));
+        continue;
+      }
 
-        results.push({ uri, status: 'loaded', components: componentInfo });
+      const dependencies = asset.dependsOn.map(dependency => {
+        return pending.get(dependency) || Promise.resolve(this.getLoadedAssetResult(dependency));
+      });
+      const run = async () => {
+        const failed = (await Promise.all(dependencies)).find(result => !LOADED_STATUSES.includes(result.status));
+        if (failed) {
+          console.warn(`Skipping ${asset.uri}: its dependency ${failed.uri} did not load`);
+          return { uri: asset.uri, kind: asset.kind, status: 'skipped', error: `Dependency ${failed.uri} did not load` };
+        }
+        return this.loadAsset(asset, owner);
+      };
 
-      } catch (error) {
-        console.error(`Failed to load component from ${uri}:`, error);
-        this.loadingPromises.delete(uri);
-        results.push({ uri, status: 'error', error: error.message });
+      if (asset.kind === 'style') {
+        pending.set(asset.uri, run());
+      } else {
+        scriptChain = scriptChain.then(run);
+        pending.set(asset.uri, scriptChain);
       }
     }
 
+    const results = await Promise.all(assets.map(asset => pending.get(asset.uri)));
     return { success: true, results };
   }
 
+  /**
+   * Result for a dependency that isn't part of the current load
+   */
+  getLoadedAssetResult(uri) {
+    const asset = this.assets.get(uri);
+    return asset
+      ? { uri, kind: asset.kind, status: 'cached', components: this.loadedComponents.get(uri) }
+      : { uri, status: 'error', error: 'Not loaded' };
+  }
+
+  /**
+   * Load one asset, or add the owner to it if it is already loaded
+   */
+  async loadAsset(asset, owner) {
+    const { uri, kind } = asset;
+
+    try {
+      if (this.assets.has(uri)) {
+        console.log(`Asset ${uri} already loaded`);
+        this.assets.get(uri).owners.add(owner);
+        return { uri, kind, status: 'cached', components: this.loadedComponents.get(uri) };
+      }
+
+      // Prevent duplicate loading
+      if (this.loadingPromises.has(uri)) {
+        console.log(`Waiting for ${uri} to finish loading...`);
+        await this.loadingPromises.get(uri);
+        this.assets.get(uri)?.owners.add(owner);
+        return { uri, kind, status: 'deduped', components: this.loadedComponents.get(uri) };
+      }
+
+      const trust = this.checkTrustPolicy(uri);
+      if (!trust.allowed) {
+        const violation = this.recordViolation(uri, trust.violation);
+        return { uri, kind, status: 'blocked', error: violation.message };
+      }
+
+      const loaders = {
+        script: this.loadScriptFromUri,
+        module: this.loadModuleFromUri,
+        style: this.loadStylesheetFromUri
+      };
+      const loadPromise = loaders[kind].call(this, uri, trust);
+      this.loadingPromises.set(uri, loadPromise);
+
+      const { element, registered, ...componentInfo } = await loadPromise;
+      this.assets.set(uri, { uri, kind, element, registered, owners: new Set([owner]) });
+      this.loadedComponents.set(uri, componentInfo);
+      this.loadingPromises.delete(uri);
+
+      return { uri, kind, status: 'loaded', components: componentInfo };
+
+    } catch (error) {
+      console.error(`Failed to load ${kind} from ${uri}:`, error);
+      this.loadingPromises.delete(uri);
+      return { uri, kind, status: 'error', error: error.message };
+    }
+  }
+
   /**
    * Load a script from external URI and detect registered components
+   * `trust` is the result of checkTrustPolicy(uri): its SRI hash is applied to the script element,
+   * and the components it registers are compared with the ones the policy expects
    */
-  async loadScriptFromUri(uri) {
-    const beforeComponents = this.getRegisteredComponents();
-    
+  async loadScriptFromUri(uri, trust = this.checkTrustPolicy(uri)) {
+    const before = this.snapshotComponents();
+
+    const script = document.createElement('script');
+    script.src = trust.url || uri;
+    script.async = true;
+    await this.appendAssetElement(uri, script, trust);
+
+    return this.describeRegistrations(uri, script, before, trust);
+  }
+
+  /**
+   * Load an ES module with dynamic import()
+   * A module can register its components itself, or export them as a Formio module
+   * ({ components: { type: Class } }, as default or named export) for the loader to register.
+   * The browser only runs a module once, so components are re-registered from the first load
+   * when a module that was unloaded is loaded again.
+   */
+  async loadModuleFromUri(uri, trust = this.checkTrustPolicy(uri)) {
+    const before = this.snapshotComponents();
+    const url = trust.url || uri;
+
+    // import() can't take an SRI hash, but it uses the one on a matching modulepreload link
+    let preload = null;
+    if (trust.integrity) {
+      preload = document.createElement('link');
+      preload.rel = 'modulepreload';
+      preload.href = url;
+      await this.appendAssetElement(uri, preload, trust);
+    }
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        this.recordViolation(uri, { code: 'load_timeout', reason: `did not load within ${this.trustPolicy.loadTimeoutMs}ms` });
+        reject(new Error(`Timed out loading module from ${uri}`));
+      }, this.trustPolicy.loadTimeoutMs);
+    });
+
+    let exported;
+    try {
+      exported = await Promise.race([import(/* @vite-ignore */ url), timeout]);
+    } catch (error) {
+      preload?.remove();
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const plugin = exported.default?.components ? exported.default : exported;
+    if (plugin.components && this.Formio) {
+      if (typeof this.Formio.use === 'function') {
+        this.Formio.use(plugin);
+      } else {
+        this.Formio.Components.setComponents(plugin.components);
+      }
+    }
+
+    const current = this.Formio?.Components?.components || {};
+    const registeredAny = Object.entries(current).some(([type, component]) => before[type] !== component);
+    if (!registeredAny && this.moduleRegistrations.has(uri)) {
+      this.moduleRegistrations.get(uri).forEach((component, type) => {
+        this.Formio.Components.setComponent(type, component);
+      });
+    }
+
+    const info = this.describeRegistrations(uri, preload, before, trust);
+    this.moduleRegistrations.set(uri, new Map([...info.registered].map(([type, { component }]) => [type, component])));
+    return info;
+  }
+
+  /**
+   * Load a stylesheet from external URI
+   */
+  async loadStylesheetFromUri(uri, trust = this.checkTrustPolicy(uri)) {
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = trust.url || uri;
+    await this.appendAssetElement(uri, link, trust);
+
+    console.log(`Successfully loaded stylesheet ${uri}`);
+    return {
+      uri,
+      element: link,
+      registered: new Map(),
+      newComponents: [],
+      registeredComponents: [],
+      totalComponents: this.getRegisteredComponents().length,
+      integrityChecked: !!trust.integrity
+    };
+  }
+
+  /**
+   * Add a script or link element to the page and wait for it to load
+   * The trust policy's SRI hash and load timeout apply to every kind of asset
+   */
+  appendAssetElement(uri, element, trust) {
     return new Promise((resolve, reject) => {
-      const script = document.createElement('script');
-      script.src = uri;
-      script.async = true;
-      
-      script.onload = () => {
-        // Detect newly registered components
-        const afterComponents = this.getRegisteredComponents();
-        const newComponents = afterComponents.filter(comp => !beforeComponents.includes(comp));
-        
-        console.log(`Successfully loaded ${uri}, new components:`, newComponents);
-        
-        resolve({
-          uri,
-          newComponents,
-          totalComponents: afterComponents.length
-        });
+      element.referrerPolicy = 'no-referrer';
+      if (trust.integrity) {
+        element.integrity = trust.integrity;
+        element.crossOrigin = 'anonymous';
+      }
+
+      const timer = setTimeout(() => {
+        element.onload = null;
+        element.onerror = null;
+        element.remove();
+        this.recordViolation(uri, { code: 'load_timeout', reason: `did not load within ${this.trustPolicy.loadTimeoutMs}ms` });
+        reject(new Error(`Timed out loading ${uri}`));
+      }, this.trustPolicy.loadTimeoutMs);
+
+      element.onload = () => {
+        clearTimeout(timer);
+        resolve(element);
       };
-      
-      script.onerror = () => {
-        reject(new Error(`Failed to load script from ${uri}`));
+
+      element.onerror = () => {
+        clearTimeout(timer);
+        element.remove();
+        if (trust.integrity) {
+          // The browser doesn't say why; a hash mismatch looks the same as a network failure
+          this.recordViolation(uri, { code: 'load_failed', reason: 'failed to load or failed its integrity check' });
+        }
+        reject(new Error(`Failed to load ${uri}`));
       };
-      
-      document.head.appendChild(script);
+
+      document.head.appendChild(element);
     });
   }
 
+  snapshotComponents() {
+    return { ...(this.Formio?.Components?.components || {}) };
+  }
+
+  /**
+   * Work out which components an asset registered, and which ones it replaced, since `before`
+   */
+  describeRegistrations(uri, element, before, trust) {
+    const after = this.Formio?.Components?.components || {};
+    const registered = new Map();
+    Object.entries(after).forEach(([type, component]) => {
+      if (before[type] !== component) {
+        registered.set(type, { component, previous: before[type] });
+      }
+    });
+
+    const newComponents = [...registered.keys()].filter(type => !before[type]);
+    console.log(`Successfully loaded ${uri}, new components:`, newComponents);
+
+    const report = this.compareRegisteredComponents(uri, [...registered.keys()], trust.expectedComponents);
+
+    return {
+      uri,
+      element,
+      registered,
+      newComponents,
+      registeredComponents: [...registered.keys()],
+      totalComponents: Object.keys(after).length,
+      integrityChecked: !!trust.integrity,
+      ...report
+    };
+  }
+
+  /**
+   * Release every asset an owner loaded
+   * Assets no other owner needs are removed from the page and their components unregistered,
+   * restoring any component they had replaced
+   * @returns {string[]} URIs of the assets that were removed
+   */
+  unloadAssets(owner = DEFAULT_ASSET_OWNER) {
+    return this.releaseAssets(owner, () => true);
+  }
+
+  /**
+   * Load a new set of assets for an owner, first releasing the ones it no longer lists
+   * Used when the form version changes so the previous version's components and styles don't linger
+   */
+  async replaceAssets(owner, externalUris = []) {
+    const keep = new Set(externalUris.map(entry => this.describeAsset(entry).uri));
+    const removed = this.releaseAssets(owner, asset => !keep.has(asset.uri));
+    if (removed.length > 0) {
+      console.log('Unloaded external assets no longer used:', removed);
+    }
+    return this.loadExternalComponents(externalUris, { owner });
+  }
+
+  releaseAssets(owner, shouldRelease) {
+    const removed = [];
+
+    // Newest first, so a component replaced twice is restored to the original
+    [...this.assets.values()].reverse().forEach(asset => {
+      if (!asset.owners.has(owner) || !shouldRelease(asset)) return;
+      asset.owners.delete(owner);
+      if (asset.owners.size === 0) {
+        this.removeAsset(asset);
+        removed.push(asset.uri);
+      }
+    });
+
+    return removed;
+  }
+
+  removeAsset(asset) {
+    asset.element?.remove();
+
+    const components = this.Formio?.Components?.components;
+    if (components) {
+      asset.registered.forEach(({ component, previous }, type) => {
+        // Something registered over it since; leave that alone
+        if (components[type] !== component) return;
+
+        if (previous) {
+          components[type] = previous;
+        } else {
+          delete components[type];
+        }
+        if (this.fallbackComponents.get(type)?.component === component) {
+          this.fallbackComponents.delete(type);
+        }
+      });
+    }
+
+    this.assets.delete(asset.uri);
+    this.loadedComponents.delete(asset.uri);
+  }
+
+  /**
+   * Compare what a script registered with what the trust policy expected it to register
+   */
+  compareRegisteredComponents(uri, newComponents, expectedComponents) {
+    if (!expectedComponents) {
+      return { expectedComponents: null, missingExpected: [], unexpectedComponents: [] };
+    }
+
+    const missingExpected = expectedComponents.filter(type => !newComponents.includes(type));
+    const unexpectedComponents = newComponents.filter(type => !expectedComponents.includes(type));
+
+    if (missingExpected.length > 0) {
+      this.recordViolation(uri, {
+        code: 'missing_expected_components',
+        reason: `did not register ${missingExpected.join(', ')}`
+      });
+    }
+    if (unexpectedComponents.length > 0) {
+      this.recordViolation(uri, {
+        code: 'unexpected_components',
+        reason: `registered components the policy does not list: ${unexpectedComponents.join(', ')}`
+      });
+    }
+
+    return { expectedComponents, missingExpected, unexpectedComponents };
+  }
+
   /**
    * Get currently registered FormIO components
    */
@@ -133,6 +681,441 @@ class ComponentLoader {
     return Object.keys(this.Formio.Components.components);
   }
 
+  // ========================================
+  // FALLBACK REGISTRY
+  // ========================================
+
+  /**
+   * Register (or replace) the fallback used when a component type is not available
+   * @param {string} type - Missing component type, e.g. 'bcaddress'
+   * @param {string|Object} fallback - Built-in type, or { type, transform(component) => extra properties }
+   */
+  registerFallback(type, fallback) {
+    const rule = typeof fallback === 'string' ? { type: fallback } : fallback;
+    if (!rule?.type) {
+      throw new Error(`Fallback for "${type}" must name a component type`);
+    }
+    this.fallbackRules.set(type, rule);
+  }
+
+  removeFallback(type) {
+    this.fallbackRules.delete(type);
+  }
+
+  /**
+   * Find the fallback rule for a missing type; null when only the generic fallback applies
+   */
+  resolveFallback(type) {
+    const rule = this.fallbackRules.get(type);
+    if (rule && this.isAvailable(rule.type)) return rule;
+
+    const builtInType = type.startsWith('simple') ? type.slice('simple'.length) : null;
+    if (builtInType && this.isAvailable(builtInType)) return { type: builtInType };
+
+    return null;
+  }
+
+  isAvailable(type) {
+    return this.getRegisteredComponents().includes(type) || this.fallbackComponents.has(type);
+  }
+
+  /**
+   * Build the replacement for one component, keeping its key, label, validation and conditional logic
+   * @param {Object} [context] - Passed to the fallback's transform, see prepareFormForRendering()
+   */
+  createFallbackComponent(component, context = {}) {
+    const rule = this.resolveFallback(component.type) || this.getGenericFallback(component);
+    const replacement = {};
+
+    PRESERVED_PROPERTIES.forEach(property => {
+      if (component[property] !== undefined) replacement[property] = component[property];
+    });
+
+    // Layout fallbacks keep their children; input fallbacks can't hold any
+    if (CONTAINER_TYPES.includes(rule.type)) {
+      CHILD_CONTAINERS.forEach(container => {
+        if (Array.isArray(component[container])) replacement[container] = component[container];
+      });
+    }
+
+    return {
+      ...replacement,
+      ...(rule.transform ? rule.transform(component, { fileStorage: null, ...context }) : {}),
+      type: rule.type,
+      properties: { ...component.properties, fallbackFor: component.type }
+    };
+  }
+
+  /**
+   * Fallback for types without a rule: components with children become containers (keeping their
+   * data nesting) or fieldsets, inputs become text fields, and anything else is replaced by a notice
+   * so the rest of the form still renders
+   */
+  getGenericFallback(component) {
+    if (Array.isArray(component.columns)) return { type: 'columns' };
+    if (Array.isArray(component.rows)) return { type: 'table' };
+    if (Array.isArray(component.components)) {
+      return component.input
+        ? { type: 'container' }
+        : { type: 'fieldset', transform: () => ({ legend: component.label || component.legend }) };
+    }
+    if (component.input) {
+      return { type: 'textfield', toValue: toText };
+    }
+    return {
+      type: 'htmlelement',
+      transform: () => ({
+        tag: 'p',
+        className: 'text-muted',
+        content: `${component.label || 'This section'} is not available right now.`
+      })
+    };
+  }
+
+  /**
+   * Convert values stored by components that were replaced with fallbacks into values the replacement
+   * can show, e.g. the address object of a bcaddress field becomes the text of the text field standing in
+   * for it instead of "[object Object]"
+   * @param {Object} schema - Schema returned by prepareFormForRendering()
+   * @param {Object} data - Submission data
+   * @returns {Object} Data with converted values (the same object when nothing needed converting)
+   */
+  mapFallbackValues(schema, data) {
+    if (!schema?.components || !data || typeof data !== 'object') return data;
+
+    let result = data;
+    this.eachComponent(schema.components, (component, parents) => {
+      const originalType = component.properties?.fallbackFor;
+      if (!originalType || !component.key) return;
+
+      // The replacement kept the original's shape, so the generic rule resolves as it did for the original
+      const rule = this.resolveFallback(originalType) || this.getGenericFallback(component);
+      if (!rule.toValue) return;
+
+      // Containers and grids nest their children's data
+      const path = [
+        ...parents.filter(parent => parent.input && (parent.tree || Array.isArray(parent.components))).map(parent => parent.key),
+        component.key
+      ];
+      const convert = value => component.multiple && Array.isArray(value) ? value.map(rule.toValue) : rule.toValue(value);
+      result = updateAtPath(result, path, convert);
+    });
+    return result;
+  }
+
+  // ========================================
+  // SCHEMA WALK
+  // ========================================
+
+  /**
+   * Call `callback(component, parents)` for every component, including those nested in panels,
+   * columns, tables (rows), tabs and edit/data grids. `parents` lists the enclosing components.
+   */
+  eachComponent(components = [], callback) {
+    this.mapComponents(components, (component, parents) => {
+      callback(component, parents);
+      return component;
+    });
+  }
+
+  /**
+   * Return a copy of the component tree with `transform(component, parents)` applied to every component
+   * Children are walked after their parent is transformed, so a replacement's children are visited too
+   */
+  mapComponents(components = [], transform, parents = []) {
+    return components.map(component => {
+      if (!component || typeof component !== 'object') return component;
+      // Tab panes and table cells hold components but aren't components themselves
+      const mapped = component.type ? transform(component, parents) : component;
+      return this.mapChildren(mapped, transform, mapped.type ? [...parents, mapped] : parents);
+    });
+  }
+
+  mapChildren(component, transform, parents = []) {
+    const result = { ...component };
+
+    if (Array.isArray(component.components)) {
+      result.components = this.mapComponents(component.components, transform, parents);
+    }
+    if (Array.isArray(component.columns)) {
+      result.columns = component.columns.map(column => ({
+        ...column,
+        components: this.mapComponents(column.components || [], transform, parents)
+      }));
+    }
+    if (Array.isArray(component.rows)) {
+      result.rows = component.rows.map(row => Array.isArray(row)
+        ? row.map(cell => ({ ...cell, components: this.mapComponents(cell?.components || [], transform, parents) }))
+        : row);
+    }
+
+    return result;
+  }
+
+  // ========================================
+  // SCHEMA ANALYSIS
+  // ========================================
+
+  /**
+   * Statically analyze a form schema
+   *
+   * Returns a report with every component and type, components whose type isn't registered,
+   * duplicate keys, conditional/calculated logic that references keys that don't exist, and
+   * custom JavaScript that can't be parsed or does something unsafe. `issues` lists everything
+   * found as { severity: 'error'|'warning'|'info', code, message, key, path }.
+   */
+  analyzeSchema(schema) {
+    const report = {
+      valid: true,
+      components: [],
+      types: [],
+      missingComponents: [],
+      duplicateKeys: [],
+      brokenReferences: [],
+      customCode: [],
+      issues: []
+    };
+    if (!schema?.components) return report;
+
+    const keyPaths = new Map();
+    const available = this.getRegisteredComponents();
+
+    this.eachComponent(schema.components, (component, parents) => {
+      const path = [...parents.map(parent => parent.key), component.key].filter(Boolean).join('.');
+      // Containers and grids nest their children's data, so keys only clash within the same scope
+      const scope = parents
+        .filter(parent => parent.input && (parent.tree || Array.isArray(parent.components)))
+        .map(parent => parent.key)
+        .join('.');
+      report.components.push({ key: component.key, type: component.type, path, scope, input: !!component.input });
+
+      if (component.key) {
+        keyPaths.set(component.key, [...(keyPaths.get(component.key) || []), path]);
+      }
+    });
+
+    report.types = [...new Set(report.components.map(component => component.type))];
+    report.missingComponents = report.types.filter(type => !available.includes(type));
+    report.missingComponents.forEach(type => {
+      report.issues.push({
+        severity: 'warning',
+        code: 'missing_component',
+        message: `Component type "${type}" is not registered`,
+        key: null,
+        path: null
+      });
+    });
+
+    // Only data components share a namespace; two layout components with the same key are harmless
+    const dataKeys = new Map();
+    report.components.filter(component => component.input && component.key).forEach(component => {
+      const scopedKey = `${component.scope}:${component.key}`;
+      dataKeys.set(scopedKey, [...(dataKeys.get(scopedKey) || []), component.path]);
+    });
+    dataKeys.forEach((paths, scopedKey) => {
+      if (paths.length < 2) return;
+      const key = scopedKey.slice(scopedKey.indexOf(':') + 1);
+      report.duplicateKeys.push({ key, paths });
+      report.issues.push({
+        severity: 'error',
+        code: 'duplicate_key',
+        message: `Key "${key}" is used by ${paths.length} components; their values will overwrite each other`,
+        key,
+        path: paths[0]
+      });
+    });
+
+    this.eachComponent(schema.components, (component, parents) => {
+      const path = [...parents.map(parent => parent.key), component.key].filter(Boolean).join('.');
+      this.findLogic(component).forEach(({ property, logic }) => {
+        this.analyzeLogic({ component, path, property, logic, keyPaths, report });
+      });
+    });
+
+    report.valid = !report.issues.some(issue => issue.severity === 'error') && report.missingComponents.length === 0;
+    return report;
+  }
+
+  /**
+   * Every piece of conditional or calculated logic on a component, as { property, logic }
+   */
+  findLogic(component) {
+    const logic = [];
+    const add = (property, value) => {
+      if (value !== undefined && value !== null && value !== '') logic.push({ property, logic: value });
+    };
+
+    add('conditional.when', component.conditional?.when);
+    add('conditional.json', component.conditional?.json);
+    (component.conditional?.conditions || []).forEach((condition, index) => {
+      add(`conditional.conditions[${index}].component`, condition.component);
+    });
+    add('customConditional', component.customConditional);
+    add('calculateValue', component.calculateValue);
+    add('customDefaultValue', component.customDefaultValue);
+    add('validate.custom', component.validate?.custom);
+    add('validate.json', component.validate?.json);
+    (component.logic || []).forEach((rule, index) => {
+      add(`logic[${index}].trigger.simple.when`, rule.trigger?.simple?.when);
+      add(`logic[${index}].trigger.javascript`, rule.trigger?.javascript);
+      add(`logic[${index}].trigger.json`, rule.trigger?.json);
+    });
+
+    return logic;
+  }
+
+  analyzeLogic({ component, path, property, logic, keyPaths, report }) {
+    const isKeyReference = property.endsWith('.when') || property.endsWith('.component');
+    let references;
+
+    if (isKeyReference) {
+      references = [logic];
+    } else if (typeof logic === 'string') {
+      references = this.findCodeReferences(logic);
+      this.checkCustomCode({ component, path, property, code: logic, report });
+    } else {
+      references = this.findJsonLogicReferences(logic);
+    }
+
+    references.forEach(reference => {
+      // Conditions may use a full path (panel.field); the last key is what must exist
+      const parts = String(reference).split('.');
+      if (keyPaths.has(parts[0]) || keyPaths.has(parts[parts.length - 1])) return;
+
+      report.brokenReferences.push({ key: component.key, path, property, reference });
+      report.issues.push({
+        severity: 'warning',
+        code: 'broken_reference',
+        message: `${property} on "${component.key}" refers to "${reference}", which is not a component key`,
+        key: component.key,
+        path
+      });
+    });
+  }
+
+  /**
+   * Keys read by custom JavaScript through `data.key`, `data['key']` or `row.key`
+   */
+  findCodeReferences(code) {
+    const references = new Set();
+    const patterns = [/\b(?:data|row)\.([A-Za-z_$][\w$]*)/g, /\b(?:data|row)\[['"]([^'"]+)['"]\]/g];
+    patterns.forEach(pattern => {
+      for (const match of code.matchAll(pattern)) {
+        references.add(match[1]);
+      }
+    });
+    return [...references];
+  }
+
+  /**
+   * Keys read by JSONLogic through { "var": "data.key" } or { "var": "row.key" }
+   */
+  findJsonLogicReferences(logic, references = new Set()) {
+    if (Array.isArray(logic)) {
+      logic.forEach(item => this.findJsonLogicReferences(item, references));
+    } else if (logic && typeof logic === 'object') {
+      Object.entries(logic).forEach(([operator, value]) => {
+        const variable = Array.isArray(value) ? value[0] : value;
+        if (operator === 'var' && typeof variable === 'string') {
+          const match = variable.match(/^(?:data|row)\.([^.[]+)/);
+          if (match) references.add(match[1]);
+        } else {
+          this.findJsonLogicReferences(value, references);
+        }
+      });
+    }
+    return [...references];
+  }
+
+  /**
+   * Flag custom JavaScript that doesn't parse or reaches outside the form
+   */
+  checkCustomCode({ component, path, property, code, report }) {
+    const entry = { key: component.key, path, property, unsafe: [], syntaxError: null };
+
+    UNSAFE_CODE_PATTERNS.forEach(({ pattern, reason }) => {
+      if (pattern.test(code)) entry.unsafe.push(reason);
+    });
+
+    try {
+      // Compiled only, never run: Formio evaluates these with the same wrapper
+      new Function('data', 'row', 'component', 'instance', 'value', 'valid', 'input', 'show', 'moment', '_', 'utils', 'util', code);
+    } catch (error) {
+      entry.syntaxError = error.message;
+    }
+
+    report.customCode.push(entry);
+
+    if (entry.unsafe.length > 0) {
+      report.issues.push({
+        severity: 'error',
+        code: 'unsafe_code',
+        message: `${property} on "${component.key}" ${entry.unsafe.join(', ')}`,
+        key: component.key,
+        path
+      });
+    }
+    if (entry.syntaxError) {
+      report.issues.push({
+        severity: 'warning',
+        code: 'unsupported_code',
+        message: `${property} on "${component.key}" cannot be parsed: ${entry.syntaxError}`,
+        key: component.key,
+        path
+      });
+    }
+  }
+
+  /**
+   * Remove custom JavaScript that reaches outside the form (see UNSAFE_CODE_PATTERNS)
+   * Each component's own code is checked, so other components sharing its key keep theirs.
+   * The component then behaves as if it had no custom logic (always shown, no calculated value).
+   * @returns {{ schema: Object, removed: Object[] }} The cleaned schema, and what was removed as
+   *   { key, path, property, reasons }
+   */
+  stripUnsafeCode(schema) {
+    const removed = [];
+    if (!schema?.components) return { schema, removed };
+
+    const cleanedSchema = {
+      ...schema,
+      components: this.mapComponents(schema.components, (component, parents) => {
+        const path = [...parents.map(parent => parent.key), component.key].filter(Boolean).join('.');
+        const unsafe = this.findLogic(component)
+          // Conditions naming a key (`conditional.when`) aren't code
+          .filter(({ property, logic }) => typeof logic === 'string' && !property.endsWith('.when') && !property.endsWith('.component'))
+          .map(({ property, logic }) => ({
+            property,
+            reasons: UNSAFE_CODE_PATTERNS.filter(({ pattern }) => pattern.test(logic)).map(({ reason }) => reason)
+          }))
+          .filter(({ reasons }) => reasons.length > 0);
+        if (unsafe.length === 0) return component;
+
+        const properties = unsafe.map(({ property }) => property);
+        unsafe.forEach(({ property, reasons }) => removed.push({ key: component.key, path, property, reasons }));
+
+        const cleaned = { ...component, validate: { ...component.validate } };
+        const unsafeRules = new Set();
+        properties.forEach(property => {
+          const rule = property.match(/^logic\[(\d+)\]/);
+          if (rule) {
+            unsafeRules.add(Number(rule[1]));
+          } else if (property === 'validate.custom') {
+            delete cleaned.validate.custom;
+          } else {
+            delete cleaned[property];
+          }
+        });
+        if (unsafeRules.size > 0) {
+          cleaned.logic = cleaned.logic.filter((rule, index) => !unsafeRules.has(index));
+        }
+        console.warn(`Removed unsafe custom code from "${path}":`, properties);
+        return cleaned;
+      })
+    };
+    return { schema: cleanedSchema, removed };
+  }
+
   /**
    * Validate form schema against available components
    */
@@ -154,19 +1137,13 @@ class ComponentLoader {
         validationResults.valid = false;
         validationResults.missingComponents.push(componentType);
         
-        // Check if we have a fallback
-        if (this.fallbackComponents.has(componentType)) {
-          validationResults.recommendations.push({
-            missing: componentType,
-            fallback: componentType,
-            action: 'use_builtin'
-          });
-        } else {
-          validationResults.recommendations.push({
-            missing: componentType,
-            action: 'load_external_or_replace'
-          });
-        }
+        // Registered fallbacks name their replacement; the rest get the generic fallback
+        const rule = this.resolveFallback(componentType);
+        validationResults.recommendations.push({
+          missing: componentType,
+          fallback: rule ? rule.type : null,
+          action: rule ? 'use_fallback' : 'use_generic_fallback'
+        });
       }
     }
 
@@ -177,60 +1154,102 @@ class ComponentLoader {
    * Extract all component types from form schema recursively
    */
   extractComponentTypes(components, types = new Set()) {
-    for (const component of components) {
-      if (component.type) {
-        types.add(component.type);
-      }
-      
-      // Handle nested components (panels, columns, etc.)
-      if (component.components) {
-        this.extractComponentTypes(component.components, types);
-      }
-      
-      // Handle conditional components
-      if (component.conditional && component.conditional.json) {
-        // Parse conditional logic for component types
-      }
-    }
-    
+    this.eachComponent(components, component => types.add(component.type));
     return Array.from(types);
   }
 
   /**
    * Prepare form for rendering by ensuring all components are available
+   * With an `owner`, assets that owner loaded for a previous form and no longer lists are unloaded first.
+   * `fileStorage` names the FormIO storage file fallbacks upload to (CHEFS_STORAGE, see chefsFileStorage.js);
+   * without one they are disabled.
+   * With `stripUnsafeCode`, custom JavaScript that reaches outside the form is removed; what was removed is
+   * returned as `removedCode`, added to `analysis.issues` and mentioned in `degradedNotice`. Off by default:
+   * removing a form's logic changes how it behaves, so hosts opt in.
    */
-  async prepareFormForRendering(schema, externalUris = []) {
+  async prepareFormForRendering(schema, externalUris = [], { stripUnsafeCode = false, owner = null, fileStorage = null } = {}) {
     console.log('Preparing form for rendering...');
     
     // Step 1: Load external components
-    const loadResults = await this.loadExternalComponents(externalUris);
+    const loadResults = owner
+      ? await this.replaceAssets(owner, externalUris)
+      : await this.loadExternalComponents(externalUris);
     
-    // Step 2: Validate schema against available components
+    // Step 2: Validate schema against available components and analyze its logic
     const validation = this.validateFormSchema(schema);
+    const analysis = this.analyzeSchema(schema);
+    analysis.issues.forEach(issue => {
+      const log = issue.severity === 'error' ? console.error : console.warn;
+      log(`Form schema ${issue.severity} (${issue.code}):`, issue.message);
+    });
     
     // Step 3: Apply recommendations if needed
     let finalSchema = schema;
     if (!validation.valid) {
       console.warn('Form schema validation issues:', validation.missingComponents);
-      finalSchema = this.applyFallbacks(schema, validation.recommendations);
+      finalSchema = this.applyFallbacks(schema, validation.recommendations, { fileStorage });
+    }
+
+    // Step 4: Don't run custom code that reaches outside the form
+    let removedCode = [];
+    if (stripUnsafeCode) {
+      ({ schema: finalSchema, removed: removedCode } = this.stripUnsafeCode(finalSchema));
+      removedCode.forEach(({ key, path, property }) => {
+        analysis.issues.push({
+          severity: 'warning',
+          code: 'unsafe_code_removed',
+          message: `${property} on "${path || key}" was removed and will not run`,
+          key,
+          path
+        });
+      });
     }
     
     return {
       schema: finalSchema,
       validation,
+      analysis,
       loadResults,
+      removedCode,
+      degradedNotice: this.getDegradedNotice(validation.valid ? [] : validation.recommendations, { fileStorage, removedCode }),
       readyForRendering: true
     };
   }
 
   /**
    * Apply fallback components for missing ones
+   * @param {Object} [context] - Passed to fallback transforms, see prepareFormForRendering()
    */
-  applyFallbacks(schema, recommendations) {
-    // For now, log the recommendations
-    // In a full implementation, this would transform the schema
-    console.log('Component fallback recommendations:', recommendations);
-    return schema;
+  applyFallbacks(schema, recommendations, context = {}) {
+    const missing = new Set(recommendations.map(recommendation => recommendation.missing));
+    if (!schema?.components || missing.size === 0) return schema;
+
+    console.warn('Replacing unavailable components with built-in fallbacks:', recommendations);
+    return {
+      ...schema,
+      components: this.mapComponents(schema.components, component => {
+        return missing.has(component.type) ? this.createFallbackComponent(component, context) : component;
+      })
+    };
+  }
+
+  /**
+   * User-facing notice for a form rendered with fallbacks or with custom code removed
+   */
+  getDegradedNotice(recommendations = [], { fileStorage = null, removedCode = [] } = {}) {
+    const notices = [];
+    if (recommendations.length > 0) {
+      notices.push('Some parts of this form could not be loaded and are shown in a simplified form. ' +
+        'You can still complete and submit the form.');
+      if (!fileStorage && recommendations.some(recommendation => recommendation.fallback === 'file')) {
+        notices.push('File uploads are not available right now.');
+      }
+    }
+    if (removedCode.length > 0) {
+      notices.push('Some of this form\'s custom checks and calculations were turned off for security, ' +
+        'so parts of it may behave differently.');
+    }
+    return notices.length > 0 ? notices.join(' ') : null;
   }
 
   /**
@@ -241,6 +1260,13 @@ class ComponentLoader {
       loadedSources: Array.from(this.loadedComponents.keys()),
       availableComponents: this.getRegisteredComponents(),
       fallbackComponents: Array.from(this.fallbackComponents.keys()),
+      policyViolations: [...this.policyViolations],
+      assets: Array.from(this.assets.values()).map(asset => ({
+        uri: asset.uri,
+        kind: asset.kind,
+        owners: Array.from(asset.owners),
+        components: Array.from(asset.registered.keys())
+      })),
       isReady: this.Formio !== null
     };
   }
@@ -0,0 +1,201 @@
+/**
+ * Embed Bridge Service
+ *
+ * Typed, versioned postMessage protocol between a host page and this app running in an iframe.
+ * The host helper library (iframe/chefs-embed-host.js) implements the other side.
+ *
+ * Every message is an envelope: { protocol, version, type, payload, requestId? }
+ *
+ * Host -> iframe: setData, setReadOnly, submit, getData, connect
+ * Iframe -> host: ready, change, submit, error, validation, resize, data
+ *
+ * Only messages from origins on the configured allowlist are accepted, and messages are only
+ * ever posted to an allowlisted host origin (never '*').
+ */
+
+export const EMBED_PROTOCOL = 'chefs-embed';
+export const EMBED_PROTOCOL_VERSION = 1;
+
+// Messages the host sends to the embedded form
+export const HOST_MESSAGES = {
+  CONNECT: 'connect',
+  SET_DATA: 'setData',
+  SET_READ_ONLY: 'setReadOnly',
+  SUBMIT: 'submit',
+  GET_DATA: 'getData'
+};
+
+// Messages the embedded form sends to the host
+export const FRAME_MESSAGES = {
+  READY: 'ready',
+  CHANGE: 'change',
+  SUBMIT: 'submit',
+  ERROR: 'error',
+  VALIDATION: 'validation',
+  RESIZE: 'resize',
+  DATA: 'data'
+};
+
+// Outbound messages held until the host origin is known
+const MAX_QUEUED_MESSAGES = 50;
+
+/**
+ * Whether the app is running inside an iframe
+ */
+export const isEmbedded = () => {
+  try {
+    return typeof window !== 'undefined' && window.self !== window.top;
+  } catch {
+    // Cross-origin access to window.top throws, which also means we're framed
+    return true;
+  }
+};
+
+class EmbedBridge {
+  constructor({ allowedOrigins = [], target = window.parent } = {}) {
+    this.allowedOrigins = allowedOrigins;
+    this.target = target;
+    this.hostOrigin = null;
+    // Set by the first accepted host message; until then hostOrigin is only detectHostOrigin()'s guess
+    this.hostLocked = false;
+    this.handlers = new Map();
+    this.queue = [];
+    this.onMessage = this.onMessage.bind(this);
+  }
+
+  /**
+   * Start listening for host messages
+   */
+  start() {
+    if (!this.allowedOrigins.length) {
+      console.warn('🔌 Embed bridge: no allowed origins configured, host messages will be ignored');
+    }
+
+    this.hostOrigin = this.detectHostOrigin();
+    this.hostLocked = false;
+    window.addEventListener('message', this.onMessage);
+    console.log('🔌 Embed bridge started, host origin:', this.hostOrigin || 'waiting for connect');
+  }
+
+  /**
+   * Stop listening and drop any queued messages
+   */
+  stop() {
+    window.removeEventListener('message', this.onMessage);
+    this.queue = [];
+  }
+
+  /**
+   * Register a handler for a host message type
+   * Handlers may return a value (or promise) which is sent back when the host asked for a reply
+   */
+  on(type, handler) {
+    this.handlers.set(type, handler);
+    return () => this.handlers.delete(type);
+  }
+
+  /**
+   * Post a message to the host
+   */
+  send(type, payload = {}, requestId) {
+    const message = {
+      protocol: EMBED_PROTOCOL,
+      version: EMBED_PROTOCOL_VERSION,
+      type,
+      payload,
+      ...(requestId ? { requestId } : {})
+    };
+
+    if (!this.hostOrigin) {
+      if (this.queue.length >= MAX_QUEUED_MESSAGES) this.queue.shift();
+      this.queue.push(message);
+      return;
+    }
+
+    this.target.postMessage(message, this.hostOrigin);
+  }
+
+  isAllowedOrigin(origin) {
+    return this.allowedOrigins.includes(origin);
+  }
+
+  /**
+   * Work out the host origin up front when the browser tells us who framed us
+   */
+  detectHostOrigin() {
+    const candidates = [];
+
+    if (window.location.ancestorOrigins?.length) {
+      candidates.push(window.location.ancestorOrigins[0]);
+    }
+    if (document.referrer) {
+      try {
+        candidates.push(new URL(document.referrer).origin);
+      } catch {
+        // Ignore malformed referrers
+      }
+    }
+
+    const origin = candidates.find(candidate => this.isAllowedOrigin(candidate));
+    if (origin) return origin;
+
+    // A single allowlisted origin can only be the host
+    return this.allowedOrigins.length === 1 ? this.allowedOrigins[0] : null;
+  }
+
+  flushQueue() {
+    const queued = this.queue;
+    this.queue = [];
+    queued.forEach(message => this.target.postMessage(message, this.hostOrigin));
+  }
+
+  async onMessage(event) {
+    const message = event.data;
+    if (!message || message.protocol !== EMBED_PROTOCOL) return;
+
+    if (event.source !== this.target || !this.isAllowedOrigin(event.origin)) {
+      console.warn('🔌 Embed bridge: rejected message from origin', event.origin);
+      return;
+    }
+
+    // Lock onto the first host that talks to us from an allowed origin; another allowed origin
+    // loaded into the parent later can't take over the conversation
+    if (!this.hostLocked) {
+      this.hostOrigin = event.origin;
+      this.hostLocked = true;
+    } else if (event.origin !== this.hostOrigin) {
+      console.warn('🔌 Embed bridge: rejected message from origin', event.origin, '(locked to', this.hostOrigin + ')');
+      return;
+    }
+    this.flushQueue();
+
+    if (message.version !== EMBED_PROTOCOL_VERSION) {
+      this.send(FRAME_MESSAGES.ERROR, {
+        code: 'UNSUPPORTED_PROTOCOL_VERSION',
+        message: `Unsupported protocol version ${message.version}, expected ${EMBED_PROTOCOL_VERSION}`
+      }, message.requestId);
+      return;
+    }
+
+    const handler = this.handlers.get(message.type);
+    if (!handler) {
+      if (message.type !== HOST_MESSAGES.CONNECT) {
+        console.warn('🔌 Embed bridge: no handler for message type', message.type);
+      }
+      return;
+    }
+
+    try {
+      const result = await handler(message.payload || {});
+      if (message.requestId && result !== undefined) {
+        this.send(FRAME_MESSAGES.DATA, result, message.requestId);
+      }
+    } catch (err) {
+      console.error('🔌 Embed bridge: handler failed for', message.type, err);
+      this.send(FRAME_MESSAGES.ERROR, { code: 'HANDLER_FAILED', message: err.message }, message.requestId);
+    }
+  }
+}
+
+export { EmbedBridge };
+export default EmbedBridge;
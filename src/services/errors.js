@@ -0,0 +1,400 @@
+/**
+ * CHEFS Errors
+ *
+ * Typed errors for everything that stops a form from loading or submitting. Every error has a
+ * stable `code` that hosts and support staff can rely on, a localized `title` and `message` for the
+ * person filling in the form, and the recovery `actions` the form offers (sign in again, retry,
+ * contact support). What CHEFS actually returned stays on `status` and `detail`, and the original
+ * error on `cause`, so nothing is lost for troubleshooting.
+ *
+ * API errors are converted by the ChefsApi response interceptor (see toChefsError); cancelled
+ * requests are passed through unchanged.
+ */
+
+import config from '@/config/index.js';
+
+export const ERROR_CODES = {
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  AUTH_FORBIDDEN: 'AUTH_FORBIDDEN',
+  FORM_NOT_FOUND: 'FORM_NOT_FOUND',
+  SUBMISSION_NOT_FOUND: 'SUBMISSION_NOT_FOUND',
+  FILE_NOT_FOUND: 'FILE_NOT_FOUND',
+  VERSION_UNPUBLISHED: 'VERSION_UNPUBLISHED',
+  SUBMISSION_LOCKED: 'SUBMISSION_LOCKED',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  NETWORK_TIMEOUT: 'NETWORK_TIMEOUT',
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  COMPONENT_LOAD_FAILED: 'COMPONENT_LOAD_FAILED',
+  CONFIGURATION_INCOMPLETE: 'CONFIGURATION_INCOMPLETE',
+  SERVER_ERROR: 'SERVER_ERROR',
+  UNKNOWN: 'UNKNOWN'
+};
+
+// What the form offers to get past an error
+export const RECOVERY_ACTIONS = {
+  LOGIN: 'login',
+  RETRY: 'retry',
+  SUPPORT: 'support'
+};
+
+const { LOGIN, RETRY, SUPPORT } = RECOVERY_ACTIONS;
+
+// Default recovery actions for each code, most useful first
+const CODE_ACTIONS = {
+  AUTH_REQUIRED: [LOGIN],
+  AUTH_FORBIDDEN: [LOGIN, SUPPORT],
+  FORM_NOT_FOUND: [SUPPORT],
+  SUBMISSION_NOT_FOUND: [SUPPORT],
+  FILE_NOT_FOUND: [SUPPORT],
+  VERSION_UNPUBLISHED: [SUPPORT],
+  SUBMISSION_LOCKED: [SUPPORT],
+  NETWORK_ERROR: [RETRY],
+  NETWORK_TIMEOUT: [RETRY],
+  VALIDATION_FAILED: [],
+  COMPONENT_LOAD_FAILED: [RETRY, SUPPORT],
+  CONFIGURATION_INCOMPLETE: [SUPPORT],
+  SERVER_ERROR: [RETRY, SUPPORT],
+  UNKNOWN: [RETRY, SUPPORT]
+};
+
+// ========================================
+// LOCALIZED MESSAGES
+// ========================================
+
+export const MESSAGES = {
+  en: {
+    codes: {
+      AUTH_REQUIRED: {
+        title: 'Sign-in required',
+        message: 'Your session has expired or you are not signed in. Sign in again to continue.'
+      },
+      AUTH_FORBIDDEN: {
+        title: 'Access denied',
+        message: 'You don\'t have permission to use this form. Sign in with a different account or contact support.'
+      },
+      FORM_NOT_FOUND: {
+        title: 'Form not found',
+        message: 'This form doesn\'t exist or is no longer available.'
+      },
+      SUBMISSION_NOT_FOUND: {
+        title: 'Submission not found',
+        message: 'The submission you are looking for doesn\'t exist or has been deleted.'
+      },
+      FILE_NOT_FOUND: {
+        title: 'File not found',
+        message: 'The file doesn\'t exist or has been deleted.'
+      },
+      VERSION_UNPUBLISHED: {
+        title: 'Form not available',
+        message: 'This version of the form is not published, so it can\'t be filled in right now.'
+      },
+      SUBMISSION_LOCKED: {
+        title: 'Submission already sent',
+        message: 'This submission has already been submitted and can no longer be changed.'
+      },
+      NETWORK_ERROR: {
+        title: 'Connection problem',
+        message: 'We couldn\'t reach the form service. Check your internet connection and try again.'
+      },
+      NETWORK_TIMEOUT: {
+        title: 'Connection timed out',
+        message: 'The form service took too long to respond. Try again in a moment.'
+      },
+      VALIDATION_FAILED: {
+        title: 'Check your answers',
+        message: 'Some answers need your attention. Correct the highlighted fields and submit again.'
+      },
+      COMPONENT_LOAD_FAILED: {
+        title: 'Form couldn\'t be displayed',
+        message: 'Parts of this form couldn\'t be loaded. Try again, or contact support if it keeps happening.'
+      },
+      CONFIGURATION_INCOMPLETE: {
+        title: 'Form not set up',
+        message: 'This form hasn\'t been set up correctly, so it can\'t be shown.'
+      },
+      SERVER_ERROR: {
+        title: 'Service unavailable',
+        message: 'The form service ran into a problem. Try again in a few minutes.'
+      },
+      UNKNOWN: {
+        title: 'Something went wrong',
+        message: 'An unexpected error occurred. Try again, or contact support if it keeps happening.'
+      }
+    },
+    actions: {
+      login: 'Sign in again',
+      retry: 'Try again',
+      support: 'Contact support'
+    },
+    supportDetails: 'Details for support',
+    copyDetails: 'Copy details',
+    supportSubject: 'Problem with an online form'
+  },
+  fr: {
+    codes: {
+      AUTH_REQUIRED: {
+        title: 'Connexion requise',
+        message: 'Votre session a expiré ou vous n\'êtes pas connecté. Reconnectez-vous pour continuer.'
+      },
+      AUTH_FORBIDDEN: {
+        title: 'Accès refusé',
+        message: 'Vous n\'avez pas l\'autorisation d\'utiliser ce formulaire. Connectez-vous avec un autre compte ou communiquez avec le soutien.'
+      },
+      FORM_NOT_FOUND: {
+        title: 'Formulaire introuvable',
+        message: 'Ce formulaire n\'existe pas ou n\'est plus disponible.'
+      },
+      SUBMISSION_NOT_FOUND: {
+        title: 'Soumission introuvable',
+        message: 'La soumission recherchée n\'existe pas ou a été supprimée.'
+      },
+      FILE_NOT_FOUND: {
+        title: 'Fichier introuvable',
+        message: 'Le fichier n\'existe pas ou a été supprimé.'
+      },
+      VERSION_UNPUBLISHED: {
+        title: 'Formulaire non disponible',
+        message: 'Cette version du formulaire n\'est pas publiée et ne peut pas être remplie pour le moment.'
+      },
+      SUBMISSION_LOCKED: {
+        title: 'Soumission déjà envoyée',
+        message: 'Cette soumission a déjà été envoyée et ne peut plus être modifiée.'
+      },
+      NETWORK_ERROR: {
+        title: 'Problème de connexion',
+        message: 'Impossible de joindre le service de formulaires. Vérifiez votre connexion Internet et réessayez.'
+      },
+      NETWORK_TIMEOUT: {
+        title: 'Délai de connexion dépassé',
+        message: 'Le service de formulaires a mis trop de temps à répondre. Réessayez dans un instant.'
+      },
+      VALIDATION_FAILED: {
+        title: 'Vérifiez vos réponses',
+        message: 'Certaines réponses doivent être corrigées. Corrigez les champs signalés et soumettez de nouveau.'
+      },
+      COMPONENT_LOAD_FAILED: {
+        title: 'Impossible d\'afficher le formulaire',
+        message: 'Certaines parties de ce formulaire n\'ont pas pu être chargées. Réessayez ou communiquez avec le soutien si le problème persiste.'
+      },
+      CONFIGURATION_INCOMPLETE: {
+        title: 'Formulaire non configuré',
+        message: 'Ce formulaire n\'est pas configuré correctement et ne peut pas être affiché.'
+      },
+      SERVER_ERROR: {
+        title: 'Service indisponible',
+        message: 'Le service de formulaires a rencontré un problème. Réessayez dans quelques minutes.'
+      },
+      UNKNOWN: {
+        title: 'Une erreur s\'est produite',
+        message: 'Une erreur inattendue s\'est produite. Réessayez ou communiquez avec le soutien si le problème persiste.'
+      }
+    },
+    actions: {
+      login: 'Se reconnecter',
+      retry: 'Réessayer',
+      support: 'Communiquer avec le soutien'
+    },
+    supportDetails: 'Détails pour le soutien',
+    copyDetails: 'Copier les détails',
+    supportSubject: 'Problème avec un formulaire en ligne'
+  }
+};
+
+/**
+ * Language messages are shown in: the configured locale (or ?lang=), then the browser's languages, then English
+ */
+export const getLocale = () => {
+  const browserLanguages = typeof navigator === 'undefined' ? [] : (navigator.languages || [navigator.language]);
+  const match = [config.locale, ...browserLanguages]
+    .map(tag => String(tag || '').toLowerCase().split('-')[0])
+    .find(language => MESSAGES[language]);
+  return match || 'en';
+};
+
+/**
+ * Messages for the current locale
+ */
+export const getMessages = (locale = getLocale()) => MESSAGES[locale] || MESSAGES.en;
+
+// ========================================
+// ERROR CLASSES
+// ========================================
+
+export class ChefsError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {Object} [details]
+   * @param {number} [details.status] - HTTP status CHEFS answered with
+   * @param {*} [details.detail] - What CHEFS returned (its `detail`, or the whole response body)
+   * @param {Error} [details.cause] - The original error
+   * @param {Object} [details.response] - The HTTP response, for code that inspects status or body
+   * @param {string[]} [details.actions] - Recovery actions; defaults to the ones for the code
+   */
+  constructor(code, { status = null, detail = null, cause = null, response = null, actions } = {}) {
+    const messages = getMessages().codes[code] || getMessages().codes.UNKNOWN;
+    super(messages.message);
+    this.name = 'ChefsError';
+    this.code = code;
+    this.cause = cause;
+    this.title = messages.title;
+    this.status = status ?? response?.status ?? null;
+    this.detail = detail;
+    this.response = response;
+    this.actions = actions || CODE_ACTIONS[code] || CODE_ACTIONS.UNKNOWN;
+    this.occurredAt = new Date();
+  }
+
+  /**
+   * Text support staff need to find the problem: code, status, CHEFS detail and the original message
+   */
+  get supportDetails() {
+    const detail = typeof this.detail === 'string' ? this.detail : JSON.stringify(this.detail);
+    return [
+      `Code: ${this.code}`,
+      this.status ? `Status: ${this.status}` : '',
+      detail ? `Detail: ${detail}` : '',
+      this.cause?.message ? `Error: ${this.cause.message}` : '',
+      this.response?.config?.url ? `Request: ${this.response.config.method?.toUpperCase() || 'GET'} ${this.response.config.url}` : '',
+      `Time: ${this.occurredAt.toISOString()}`,
+      typeof window !== 'undefined' ? `Page: ${window.location.href}` : ''
+    ].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Plain object for events and postMessage (errors themselves can't be cloned with their fields)
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      title: this.title,
+      message: this.message,
+      status: this.status,
+      detail: this.detail,
+      actions: this.actions
+    };
+  }
+}
+
+export class AuthError extends ChefsError {
+  constructor(code = ERROR_CODES.AUTH_REQUIRED, details) {
+    super(code, details);
+    this.name = 'AuthError';
+  }
+}
+
+export class NotFoundError extends ChefsError {
+  constructor(code = ERROR_CODES.FORM_NOT_FOUND, details) {
+    super(code, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+export class VersionUnpublishedError extends ChefsError {
+  constructor(details) {
+    super(ERROR_CODES.VERSION_UNPUBLISHED, details);
+    this.name = 'VersionUnpublishedError';
+  }
+}
+
+export class NetworkError extends ChefsError {
+  constructor(code = ERROR_CODES.NETWORK_ERROR, details) {
+    super(code, details);
+    this.name = 'NetworkError';
+  }
+}
+
+export class ValidationError extends ChefsError {
+  /**
+   * @param {Object} [details] - As for ChefsError, plus:
+   * @param {Object[]} [details.errors] - Field errors: { message, path }
+   */
+  constructor({ errors = [], ...details } = {}) {
+    super(ERROR_CODES.VALIDATION_FAILED, details);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+export class ComponentLoadError extends ChefsError {
+  constructor(details) {
+    super(ERROR_CODES.COMPONENT_LOAD_FAILED, details);
+    this.name = 'ComponentLoadError';
+  }
+}
+
+export class ConfigurationError extends ChefsError {
+  constructor(details) {
+    super(ERROR_CODES.CONFIGURATION_INCOMPLETE, details);
+    this.name = 'ConfigurationError';
+  }
+}
+
+// ========================================
+// CONVERSION
+// ========================================
+
+/**
+ * True for requests and operations that were cancelled on purpose (axios cancellation or an aborted signal)
+ */
+export const isCancellation = (error) => {
+  return error?.name === 'AbortError' || error?.name === 'CanceledError' || error?.code === 'ERR_CANCELED';
+};
+
+// CHEFS field errors arrive as `errors` or `details`, with the field under `path`, `context.key` or `key`
+const extractFieldErrors = (body) => {
+  const items = body?.errors || body?.details || body?.detail?.errors;
+  if (!Array.isArray(items)) return [];
+  return items.map(item => ({
+    message: item.message || item.detail || String(item),
+    path: item.path || item.context?.key || item.key || null
+  }));
+};
+
+// 404s are reported for the kind of record the request was for
+const notFoundCode = (url = '') => {
+  if (url.includes('/submissions')) return ERROR_CODES.SUBMISSION_NOT_FOUND;
+  if (url.includes('/files')) return ERROR_CODES.FILE_NOT_FOUND;
+  return ERROR_CODES.FORM_NOT_FOUND;
+};
+
+/**
+ * Turn any error (typically from axios) into a ChefsError
+ * ChefsErrors and cancellations are returned unchanged.
+ * @param {*} error
+ * @returns {ChefsError|Error}
+ */
+export const toChefsError = (error) => {
+  if (error instanceof ChefsError || isCancellation(error)) return error;
+
+  const response = error?.response || null;
+  const body = response?.data;
+  const details = {
+    status: response?.status ?? null,
+    detail: body?.detail || body || null,
+    cause: error instanceof Error ? error : null,
+    response
+  };
+
+  if (!response) {
+    if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT') {
+      return new NetworkError(ERROR_CODES.NETWORK_TIMEOUT, details);
+    }
+    if (error?.code === 'ERR_NETWORK') {
+      return new NetworkError(ERROR_CODES.NETWORK_ERROR, details);
+    }
+    return new ChefsError(ERROR_CODES.UNKNOWN, { ...details, detail: error?.message || String(error) });
+  }
+
+  const { status } = response;
+  if (status === 401) return new AuthError(ERROR_CODES.AUTH_REQUIRED, details);
+  if (status === 403) return new AuthError(ERROR_CODES.AUTH_FORBIDDEN, details);
+  if (status === 404) return new NotFoundError(notFoundCode(response.config?.url || error.config?.url), details);
+  if (status === 408) return new NetworkError(ERROR_CODES.NETWORK_TIMEOUT, details);
+  if (status === 400 || status === 422) {
+    return new ValidationError({ ...details, errors: extractFieldErrors(body) });
+  }
+  if (status === 429 || status >= 500) return new ChefsError(ERROR_CODES.SERVER_ERROR, details);
+  return new ChefsError(ERROR_CODES.UNKNOWN, details);
+};
+
+export default ChefsError;
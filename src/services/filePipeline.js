@@ -0,0 +1,353 @@
+/**
+ * File Pipeline
+ *
+ * Checks and prepares files before they are uploaded, so bad files are rejected in the browser
+ * (as validation errors on the file component) instead of by CHEFS:
+ *   1. detect the type from the file's first bytes ("magic bytes") rather than its extension
+ *   2. enforce the component's file pattern (filePattern, e.g. ".pdf,image/*")
+ *   3. optionally downscale images and strip their metadata (EXIF, GPS) by re-encoding them
+ *   4. enforce the component's size limits (fileMinSize / fileMaxSize)
+ *   5. compute a SHA-256 checksum, checked by the token server when a chunked upload is assembled and
+ *      sent to the scan service (never as a header to CHEFS, where it would force a CORS preflight)
+ *   6. run added steps, e.g. a virus scan (see createScanStep())
+ *
+ * Steps receive a context { file, originalFile, component, mimeType, checksum } and may replace
+ * `context.file`; they reject a file by throwing a FileRejectedError.
+ */
+
+import axios from 'axios';
+
+// File component types the pipeline applies to
+export const FILE_COMPONENT_TYPES = ['file', 'simplefile'];
+
+// Hashing reads the whole file into memory; bigger files are uploaded without a checksum
+const MAX_CHECKSUM_BYTES = 256 * 1024 * 1024;
+
+const SNIFF_BYTES = 16;
+
+// Leading bytes of common formats; `offset` skips bytes that vary (e.g. the RIFF size field)
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimeType: 'image/webp', bytes: [0x57, 0x45, 0x42, 0x50], offset: 8 },
+  { mimeType: 'image/bmp', bytes: [0x42, 0x4d] },
+  { mimeType: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { mimeType: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  // HEIC/HEIF: an `ftyp` box whose major brand is heic/heix/heim/heis ("hei"), hevc/hevx ("hev"),
+  // or the generic HEIF brands mif1 (images) and msf1 (sequences) many phones write
+  { mimeType: 'image/heic', bytes: [0x66, 0x74, 0x79, 0x70, 0x68, 0x65, 0x69], offset: 4 },
+  { mimeType: 'image/heic', bytes: [0x66, 0x74, 0x79, 0x70, 0x68, 0x65, 0x76], offset: 4 },
+  { mimeType: 'image/heic', bytes: [0x66, 0x74, 0x79, 0x70, 0x6d, 0x69, 0x66, 0x31], offset: 4 },
+  { mimeType: 'image/heic', bytes: [0x66, 0x74, 0x79, 0x70, 0x6d, 0x73, 0x66, 0x31], offset: 4 },
+  { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46] },
+  // Word/Excel/PowerPoint (OOXML), OpenDocument and plain ZIP files are all ZIP archives
+  { mimeType: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { mimeType: 'application/zip', bytes: [0x50, 0x4b, 0x05, 0x06] },
+  // Legacy Office documents (.doc, .xls, .ppt) and Outlook messages
+  { mimeType: 'application/x-ole-storage', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+  { mimeType: 'application/gzip', bytes: [0x1f, 0x8b] },
+  // UTF-16 text (e.g. CSV exported as "Unicode text")
+  { mimeType: 'text/plain', bytes: [0xff, 0xfe] },
+  { mimeType: 'text/plain', bytes: [0xfe, 0xff] },
+  { mimeType: 'application/x-msdownload', bytes: [0x4d, 0x5a] },
+  { mimeType: 'application/x-executable', bytes: [0x7f, 0x45, 0x4c, 0x46] }
+];
+
+// Content each extension must have; extensions not listed are not checked against the content
+const EXTENSION_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  bmp: 'image/bmp',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  heic: 'image/heic',
+  pdf: 'application/pdf',
+  docx: 'application/zip',
+  xlsx: 'application/zip',
+  pptx: 'application/zip',
+  odt: 'application/zip',
+  ods: 'application/zip',
+  zip: 'application/zip',
+  doc: 'application/x-ole-storage',
+  xls: 'application/x-ole-storage',
+  ppt: 'application/x-ole-storage',
+  msg: 'application/x-ole-storage',
+  txt: 'text/plain',
+  csv: 'text/plain'
+};
+
+// Containers shared by many formats; the browser's more specific type is kept when the content is one of these
+const CONTAINER_TYPES = ['application/zip', 'application/x-ole-storage', 'text/plain'];
+
+// Images that can be re-encoded with a canvas (GIFs would lose their animation)
+const PROCESSABLE_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+export class FileRejectedError extends Error {
+  /**
+   * @param {string} message - Shown to the user on the file component
+   * @param {Object} [details]
+   * @param {string} [details.code] - too_small, too_large, type_mismatch, type_not_allowed, infected, scan_failed
+   * @param {string} [details.fileName]
+   */
+  constructor(message, { code = 'rejected', fileName = '' } = {}) {
+    super(message);
+    this.name = 'FileRejectedError';
+    this.code = code;
+    this.fileName = fileName;
+  }
+}
+
+const getExtension = (name = '') => {
+  const match = /\.([^.]+)$/.exec(name);
+  return match ? match[1].toLowerCase() : '';
+};
+
+/**
+ * Parse a FormIO size such as '10MB', '500KB' or '0' into bytes
+ */
+export const parseFileSize = (size) => {
+  if (typeof size === 'number') return size;
+  const match = /^\s*([\d.]+)\s*(b|kb|mb|gb)?\s*$/i.exec(String(size || ''));
+  if (!match) return null;
+  const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+  return parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()];
+};
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+// ========================================
+// BUILT-IN STEPS
+// ========================================
+
+const looksLikeText = (bytes) => bytes.every(byte => byte === 0x09 || byte === 0x0a || byte === 0x0d || byte >= 0x20);
+
+/**
+ * Detect a file's type from its first bytes; null when the format isn't recognised
+ */
+export const sniffMimeType = async (file) => {
+  const bytes = new Uint8Array(await file.slice(0, SNIFF_BYTES).arrayBuffer());
+  const signature = SIGNATURES.find(({ bytes: expected, offset = 0 }) => {
+    return expected.every((byte, index) => bytes[offset + index] === byte);
+  });
+  if (signature) return signature.mimeType;
+  return bytes.length > 0 && looksLikeText(bytes) ? 'text/plain' : null;
+};
+
+const detectType = (verifyType) => async (context) => {
+  const { file } = context;
+  const detected = await sniffMimeType(file);
+  context.mimeType = (CONTAINER_TYPES.includes(detected) && file.type) || detected || file.type || 'application/octet-stream';
+  if (!verifyType || file.size === 0) return;
+
+  const expected = EXTENSION_TYPES[getExtension(file.name)];
+  if (expected && detected !== expected) {
+    throw new FileRejectedError(
+      `${file.name} is not a valid .${getExtension(file.name)} file`,
+      { code: 'type_mismatch', fileName: file.name }
+    );
+  }
+};
+
+/**
+ * Whether a file matches a FormIO file pattern: comma-separated extensions (.pdf) and MIME types (image/*)
+ */
+export const matchesFilePattern = (pattern, { name, mimeType }) => {
+  const entries = String(pattern || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+  if (entries.length === 0 || entries.includes('*')) return true;
+
+  const extension = getExtension(name);
+  return entries.some(entry => {
+    if (entry.startsWith('.')) return entry.slice(1) === extension;
+    if (entry.endsWith('/*')) return mimeType.startsWith(entry.slice(0, -1));
+    return entry === mimeType;
+  });
+};
+
+const checkPattern = async ({ file, component, mimeType }) => {
+  if (!matchesFilePattern(component.filePattern, { name: file.name, mimeType })) {
+    throw new FileRejectedError(
+      `${file.name} is not an allowed file type (${component.filePattern})`,
+      { code: 'type_not_allowed', fileName: file.name }
+    );
+  }
+};
+
+const createCanvas = (width, height) => {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+const canvasToBlob = (canvas, type) => {
+  if (canvas.convertToBlob) return canvas.convertToBlob({ type, quality: 0.9 });
+  return new Promise(resolve => canvas.toBlob(resolve, type, 0.9));
+};
+
+/**
+ * Re-encode images so they lose their metadata, downscaling ones larger than `maxDimension` pixels
+ */
+const processImage = ({ maxDimension, stripMetadata }) => async (context) => {
+  const { file, mimeType } = context;
+  if (!PROCESSABLE_IMAGE_TYPES.includes(mimeType) || typeof createImageBitmap === 'undefined') return;
+
+  // The orientation is applied to the pixels, so it survives losing the EXIF data
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+  try {
+    const scale = maxDimension > 0 ? Math.min(maxDimension / Math.max(bitmap.width, bitmap.height), 1) : 1;
+    if (scale === 1 && !stripMetadata) return;
+
+    const width = Math.round(bitmap.width * scale);
+    const height = Math.round(bitmap.height * scale);
+    const canvas = createCanvas(width, height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+    const blob = await canvasToBlob(canvas, mimeType);
+    if (!blob) return;
+
+    context.file = new File([blob], file.name, { type: mimeType, lastModified: file.lastModified });
+    console.log(`📁 Processed ${file.name}: ${bitmap.width}x${bitmap.height} -> ${width}x${height}, metadata removed`);
+  } finally {
+    bitmap.close();
+  }
+};
+
+const checkSize = async ({ file, component }) => {
+  const min = parseFileSize(component.fileMinSize);
+  const max = parseFileSize(component.fileMaxSize);
+  if (min !== null && file.size < min) {
+    throw new FileRejectedError(
+      `${file.name} is too small; files must be at least ${component.fileMinSize}`,
+      { code: 'too_small', fileName: file.name }
+    );
+  }
+  if (max !== null && file.size > max) {
+    throw new FileRejectedError(
+      `${file.name} is too large; files must be at most ${component.fileMaxSize}`,
+      { code: 'too_large', fileName: file.name }
+    );
+  }
+};
+
+const computeChecksum = async (context) => {
+  if (context.file.size > MAX_CHECKSUM_BYTES || !crypto.subtle) return;
+  context.checksum = toHex(await crypto.subtle.digest('SHA-256', await context.file.arrayBuffer()));
+};
+
+/**
+ * Step that sends each file to a scanning service and rejects files it reports as infected
+ * The service receives the file as multipart `file` (with its SHA-256 as `sha256` when computed) and
+ * answers { clean: boolean, threat?: string }. Only form fields are sent, so the request needs no preflight.
+ * @param {string} endpoint
+ * @param {Object} [options]
+ * @param {number} [options.timeout]
+ */
+export const createScanStep = (endpoint, { timeout = 60000 } = {}) => async ({ file, checksum }) => {
+  const formData = new FormData();
+  formData.append('file', file, file.name);
+  if (checksum) formData.append('sha256', checksum);
+
+  let result;
+  try {
+    const response = await axios.post(endpoint, formData, { timeout });
+    result = response.data;
+  } catch (error) {
+    console.error(`❌ Could not scan ${file.name}:`, error.message);
+    throw new FileRejectedError(`${file.name} could not be checked for viruses; try again`, {
+      code: 'scan_failed',
+      fileName: file.name
+    });
+  }
+
+  if (!result?.clean) {
+    console.warn(`⚠️ ${file.name} rejected by the virus scan:`, result?.threat);
+    throw new FileRejectedError(`${file.name} was rejected by the virus scan`, { code: 'infected', fileName: file.name });
+  }
+};
+
+// ========================================
+// PIPELINE
+// ========================================
+
+export class FilePipeline {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.verifyType] - Reject files whose content doesn't match their extension
+   * @param {number} [options.imageMaxDimension] - Downscale larger images to this many pixels (0 keeps the size)
+   * @param {boolean} [options.stripImageMetadata] - Re-encode images to drop EXIF/GPS data
+   * @param {boolean} [options.checksum] - Compute a SHA-256 checksum
+   * @param {string} [options.scanEndpoint] - Virus scanning service, see createScanStep()
+   */
+  constructor({ verifyType = true, imageMaxDimension = 0, stripImageMetadata = false, checksum = true, scanEndpoint = '' } = {}) {
+    this.builtInSteps = [
+      detectType(verifyType),
+      checkPattern,
+      processImage({ maxDimension: imageMaxDimension, stripMetadata: stripImageMetadata }),
+      checkSize,
+      ...(checksum ? [computeChecksum] : [])
+    ];
+    this.steps = scanEndpoint ? [createScanStep(scanEndpoint)] : [];
+    // Files that already went through the pipeline -> their result, so uploading them doesn't repeat the work
+    this.processed = new WeakMap();
+  }
+
+  /**
+   * Add a step that runs after the built-in ones
+   * @param {Function} step - async (context) => void; throw a FileRejectedError to reject the file
+   * @returns {Function} Removes the step
+   */
+  use(step) {
+    this.steps.push(step);
+    return () => {
+      this.steps = this.steps.filter(candidate => candidate !== step);
+    };
+  }
+
+  /**
+   * Run a file through the pipeline
+   * @param {File} file
+   * @param {Object} [component] - The file component's schema (filePattern, fileMinSize, fileMaxSize)
+   * @returns {Promise<{file: File, mimeType: string, checksum: string|null}>}
+   * @throws {FileRejectedError}
+   */
+  async process(file, component = {}) {
+    if (this.processed.has(file)) return this.processed.get(file);
+
+    const context = { file, originalFile: file, component, mimeType: file.type, checksum: null };
+    for (const step of [...this.builtInSteps, ...this.steps]) {
+      await step(context);
+    }
+
+    const result = { file: context.file, mimeType: context.mimeType, checksum: context.checksum };
+    this.processed.set(context.file, result);
+    return result;
+  }
+
+  /**
+   * Run several files through the pipeline, collecting the rejected ones instead of stopping
+   * @returns {Promise<{accepted: Object[], rejected: FileRejectedError[]}>}
+   */
+  async processAll(files, component = {}) {
+    const accepted = [];
+    const rejected = [];
+    for (const file of files) {
+      try {
+        accepted.push(await this.process(file, component));
+      } catch (error) {
+        if (!(error instanceof FileRejectedError)) {
+          console.error(`❌ Could not prepare ${file.name} for upload:`, error);
+        }
+        rejected.push(error instanceof FileRejectedError
+          ? error
+          : new FileRejectedError(`${file.name} could not be read`, { fileName: file.name }));
+      }
+    }
+    return { accepted, rejected };
+  }
+}
+
+export default FilePipeline;
@@ -0,0 +1,164 @@
+/**
+ * Form Cache
+ *
+ * Keeps the form versions and module versions fetched from CHEFS in IndexedDB so a repeat load
+ * renders straight away, and a form opened before renders with no network at all.
+ * Cached entries are returned immediately while a fresh copy is fetched in the background
+ * (stale-while-revalidate); the next load uses the fresh copy.
+ *
+ * The external component scripts and stylesheets a form uses are kept in the Cache API and
+ * served by the service worker (public/sw.js), which revalidates them the same way.
+ */
+
+import { STORES, withStore, isIndexedDbSupported } from '@/services/localDatabase.js';
+
+// Must match ASSET_CACHE in public/sw.js
+export const ASSET_CACHE = 'chefs-form-assets';
+
+export const buildCacheKey = (...parts) => parts.map(part => part || '').join(':');
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const isAssetCacheSupported = () => typeof caches !== 'undefined';
+
+export const getCachedEntry = async (key) => {
+  if (!isIndexedDbSupported()) return null;
+  return withStore(STORES.FORM_CACHE, 'readonly', store => store.get(key));
+};
+
+/**
+ * Store a value for a form version
+ * @param {string} key - Key from buildCacheKey()
+ * @param {*} value
+ * @param {Object} entry
+ * @param {string} entry.formId
+ * @param {string} [entry.formVersionId] - Version the value belongs to; used to invalidate it
+ * @param {string[]} [entry.assets] - External asset URLs the value refers to, evicted with it
+ */
+export const putCachedEntry = async (key, value, { formId, formVersionId = null, assets = [] }) => {
+  if (!isIndexedDbSupported()) return;
+  await withStore(STORES.FORM_CACHE, 'readwrite', store => store.put({
+    key,
+    formId,
+    formVersionId,
+    assets,
+    value,
+    cachedAt: Date.now()
+  }));
+};
+
+/**
+ * Return the cached value for `key` (fetching it when there is none) and refresh it in the background
+ * @param {string} key - Key from buildCacheKey()
+ * @param {Function} fetcher - async () => fresh value
+ * @param {Object} options
+ * @param {string} options.formId
+ * @param {Function} [options.describe] - (value) => { formVersionId, assets } for the cache entry
+ * @param {Function} [options.onRevalidate] - (fresh, stale) => void, called when the fresh value differs
+ */
+export const staleWhileRevalidate = async (key, fetcher, { formId, describe = () => ({}), onRevalidate = () => {} }) => {
+  const cached = await getCachedEntry(key).catch(error => {
+    console.warn('⚠️ Form cache unavailable:', error.message);
+    return null;
+  });
+
+  const refresh = fetcher().then(async value => {
+    await putCachedEntry(key, value, { formId, ...describe(value) }).catch(error => {
+      console.warn('⚠️ Could not update the form cache:', error.message);
+    });
+    return value;
+  });
+
+  if (!cached) return refresh;
+
+  refresh
+    .then(value => {
+      if (!isSameValue(value, cached.value)) {
+        console.log(`📦 Cached ${key} was out of date; updated for the next load`);
+        onRevalidate(value, cached.value);
+      }
+    })
+    .catch(error => console.warn(`⚠️ Could not revalidate ${key}, using the cached copy:`, error.message));
+
+  console.log(`📦 Using cached ${key} from ${new Date(cached.cachedAt).toLocaleString()}`);
+  return cached.value;
+};
+
+/**
+ * Drop everything cached for a form except what belongs to `keepVersionId`
+ * Called when CHEFS reports a newer version; external assets only the dropped versions used are evicted too
+ * @returns {Promise<Object[]>} The removed entries
+ */
+export const invalidateFormCache = async (formId, { keepVersionId = null } = {}) => {
+  if (!isIndexedDbSupported()) return [];
+
+  const removed = [];
+  const kept = [];
+  await withStore(STORES.FORM_CACHE, 'readwrite', store => {
+    const request = store.index('formId').openCursor(IDBKeyRange.only(formId));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      if (keepVersionId && cursor.value.formVersionId === keepVersionId) {
+        kept.push(cursor.value);
+      } else {
+        removed.push(cursor.value);
+        cursor.delete();
+      }
+      cursor.continue();
+    };
+    return request;
+  });
+
+  const stillUsed = new Set(kept.flatMap(entry => entry.assets || []));
+  const staleAssets = [...new Set(removed.flatMap(entry => entry.assets || []))].filter(url => !stillUsed.has(url));
+  await evictAssets(staleAssets);
+
+  console.log(`📦 Invalidated ${removed.length} cached entries for form ${formId}`);
+  return removed;
+};
+
+// ========================================
+// EXTERNAL ASSETS
+// ========================================
+
+/**
+ * Add external asset URLs to the cache the service worker serves them from
+ * Assets that can't be fetched with CORS (needed to read the response) are left to the browser cache
+ */
+export const cacheAssets = async (urls = []) => {
+  if (!isAssetCacheSupported() || urls.length === 0) return;
+
+  const cache = await caches.open(ASSET_CACHE);
+  await Promise.all(urls.map(async url => {
+    if (await cache.match(url)) return;
+    try {
+      await cache.add(new Request(url, { mode: 'cors', credentials: 'omit' }));
+    } catch (error) {
+      console.warn(`⚠️ Could not cache ${url} for offline use:`, error.message);
+    }
+  }));
+};
+
+export const evictAssets = async (urls = []) => {
+  if (!isAssetCacheSupported() || urls.length === 0) return;
+
+  const cache = await caches.open(ASSET_CACHE);
+  await Promise.all(urls.map(url => cache.delete(url)));
+};
+
+/**
+ * Register the service worker that serves the app and cached assets when offline
+ */
+export const registerCacheWorker = async (scriptUrl = '/sw.js') => {
+  if (typeof navigator === 'undefined' || !navigator.serviceWorker) return null;
+
+  try {
+    const registration = await navigator.serviceWorker.register(scriptUrl);
+    console.log('📦 Cache service worker registered:', registration.scope);
+    return registration;
+  } catch (error) {
+    console.warn('⚠️ Cache service worker could not be registered:', error.message);
+    return null;
+  }
+};
@@ -0,0 +1,70 @@
+/**
+ * Local Database
+ *
+ * One IndexedDB database shared by the services that keep data in the browser.
+ * Bump DB_VERSION and add an upgrade step whenever an object store is added.
+ */
+
+const DB_NAME = 'chefs-embedded-form';
+const DB_VERSION = 4;
+
+export const STORES = {
+  AUTOSAVE: 'autosave',
+  SUBMISSION_QUEUE: 'submissionQueue',
+  PENDING_FILES: 'pendingFiles',
+  FORM_CACHE: 'formCache',
+  KEYS: 'keys'
+};
+
+// Upgrade steps, indexed by the version they upgrade from
+const UPGRADES = [
+  (db) => {
+    db.createObjectStore(STORES.AUTOSAVE, { keyPath: 'id' }).createIndex('expiresAt', 'expiresAt');
+  },
+  (db) => {
+    db.createObjectStore(STORES.SUBMISSION_QUEUE, { keyPath: 'id' }).createIndex('dedupeKey', 'dedupeKey');
+    db.createObjectStore(STORES.PENDING_FILES, { keyPath: 'id' });
+  },
+  (db) => {
+    db.createObjectStore(STORES.FORM_CACHE, { keyPath: 'key' }).createIndex('formId', 'formId');
+  },
+  (db) => {
+    db.createObjectStore(STORES.KEYS, { keyPath: 'id' });
+  }
+];
+
+let dbPromise = null;
+
+export const isIndexedDbSupported = () => typeof indexedDB !== 'undefined';
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        UPGRADES.slice(event.oldVersion).forEach(upgrade => upgrade(request.result));
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Run requests against one object store in a single transaction
+ * Resolves with the result of the request returned by the callback once the transaction commits
+ */
+export const withStore = async (storeName, mode, callback) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
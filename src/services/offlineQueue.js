@@ -0,0 +1,257 @@
+/**
+ * Offline Submission Queue
+ *
+ * Submissions that fail because the network is unreachable are stored in IndexedDB and replayed
+ * when the browser comes back online. Files uploaded while offline are stored alongside them and
+ * referenced from the submission data by a placeholder ID until they can be uploaded.
+ *
+ * Queued data is not encrypted (unlike autosave): it must survive a browser restart, possibly
+ * days later, until there is signal again.
+ */
+
+import { STORES, withStore, isIndexedDbSupported } from '@/services/localDatabase.js';
+
+export const QUEUE_STATUS = {
+  PENDING: 'pending',
+  FAILED: 'failed' // rejected by CHEFS; replaying will not help
+};
+
+// Placeholder file IDs look like `offline-file-<uuid>`
+export const PENDING_FILE_PREFIX = 'offline-file-';
+const PENDING_FILE_PATTERN = new RegExp(`${PENDING_FILE_PREFIX}[0-9a-f-]{36}`, 'g');
+
+const MAX_ATTEMPTS = 10;
+const BASE_RETRY_DELAY_MS = 5 * 1000;
+const MAX_RETRY_DELAY_MS = 15 * 60 * 1000;
+
+// Statuses worth retrying: timeouts, rate limiting and server-side failures
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const createId = () => {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  const hex = [...crypto.getRandomValues(new Uint8Array(16))].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+/**
+ * True when a request failed because CHEFS could not be reached at all (as opposed to rejecting it)
+ */
+export const isNetworkError = (error) => {
+  if (error?.response) return false;
+  // ERR_NETWORK from axios, NETWORK_ERROR once converted to a ChefsError
+  return ['ERR_NETWORK', 'NETWORK_ERROR'].includes(error?.code) ||
+    (typeof navigator !== 'undefined' && navigator.onLine === false);
+};
+
+export const isRetryable = (error) => isNetworkError(error) || RETRYABLE_STATUSES.includes(error?.response?.status);
+
+/**
+ * Exponential backoff with jitter: 5s, 10s, 20s ... capped at 15 minutes
+ */
+export const getRetryDelay = (attempts) => {
+  const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+  return Math.round(delay * (0.75 + Math.random() * 0.5));
+};
+
+const hashValue = async (value) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(value)));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// ========================================
+// QUEUED SUBMISSIONS
+// ========================================
+
+/**
+ * Queue a submission request
+ * An identical request that is already queued (e.g. the user pressed submit twice) is returned instead
+ * @param {Object} request
+ * @param {string} request.formId
+ * @param {string} request.formVersionId
+ * @param {string} [request.submissionId] - Existing submission to update
+ * @param {string} [request.draftId] - Draft to update
+ * @param {Object} request.data - Submission data
+ * @param {boolean} [request.draft]
+ */
+export const enqueueSubmission = async ({ formId, formVersionId, submissionId = '', draftId = '', data, draft = false }) => {
+  const dedupeKey = await hashValue({ formId, formVersionId, submissionId, draftId, data, draft });
+
+  const existing = await withStore(STORES.SUBMISSION_QUEUE, 'readonly', store => {
+    return store.index('dedupeKey').get(dedupeKey);
+  });
+  if (existing) {
+    console.log('📡 Identical submission already queued:', existing.id);
+    return existing;
+  }
+
+  const entry = {
+    id: createId(),
+    dedupeKey,
+    formId,
+    formVersionId,
+    submissionId,
+    draftId,
+    data,
+    draft,
+    status: QUEUE_STATUS.PENDING,
+    attempts: 0,
+    nextAttemptAt: Date.now(),
+    lastError: null,
+    createdAt: Date.now()
+  };
+
+  await withStore(STORES.SUBMISSION_QUEUE, 'readwrite', store => store.put(entry));
+  console.log('📡 Submission queued for sync:', entry.id);
+  return entry;
+};
+
+export const listQueuedSubmissions = async () => {
+  if (!isIndexedDbSupported()) return [];
+  const entries = await withStore(STORES.SUBMISSION_QUEUE, 'readonly', store => store.getAll());
+  return entries.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+export const removeQueuedSubmission = async (id) => {
+  await withStore(STORES.SUBMISSION_QUEUE, 'readwrite', store => store.delete(id));
+};
+
+const saveQueuedSubmission = async (entry) => {
+  await withStore(STORES.SUBMISSION_QUEUE, 'readwrite', store => store.put(entry));
+};
+
+// ========================================
+// PENDING FILES
+// ========================================
+
+/**
+ * Keep a file that could not be uploaded and return a placeholder in the shape of a CHEFS file record
+ */
+export const storePendingFile = async (file, formId) => {
+  const id = `${PENDING_FILE_PREFIX}${createId()}`;
+  await withStore(STORES.PENDING_FILES, 'readwrite', store => store.put({
+    id,
+    formId,
+    file,
+    name: file.name,
+    size: file.size,
+    type: file.type,
+    createdAt: Date.now()
+  }));
+
+  console.log('📡 File stored for upload when back online:', file.name);
+  return {
+    id,
+    originalName: file.name,
+    size: file.size,
+    mimeType: file.type,
+    pending: true
+  };
+};
+
+export const getPendingFile = async (id) => {
+  return withStore(STORES.PENDING_FILES, 'readonly', store => store.get(id));
+};
+
+export const removePendingFile = async (id) => {
+  await withStore(STORES.PENDING_FILES, 'readwrite', store => store.delete(id));
+};
+
+/**
+ * Remember the CHEFS file ID so a retried submission does not upload the file again
+ */
+export const markPendingFileUploaded = async (id, uploadedId) => {
+  const pending = await getPendingFile(id);
+  if (!pending) return;
+  await withStore(STORES.PENDING_FILES, 'readwrite', store => store.put({ ...pending, uploadedId }));
+};
+
+export const isPendingFileId = (id) => typeof id === 'string' && id.startsWith(PENDING_FILE_PREFIX);
+
+/**
+ * Placeholder file IDs referenced anywhere in the submission data
+ */
+export const findPendingFileIds = (data) => {
+  return [...new Set(JSON.stringify(data ?? null).match(PENDING_FILE_PATTERN) || [])];
+};
+
+/**
+ * Swap placeholder file IDs for the IDs CHEFS assigned once the files were uploaded
+ */
+export const replacePendingFileIds = (data, replacements) => {
+  let json = JSON.stringify(data);
+  Object.entries(replacements).forEach(([placeholder, fileId]) => {
+    json = json.split(placeholder).join(fileId);
+  });
+  return JSON.parse(json);
+};
+
+// ========================================
+// REPLAY
+// ========================================
+
+const replays = new Map();
+let replayChain = Promise.resolve();
+
+/**
+ * Send queued submissions that are due
+ * Runs one replay at a time per tab, and per browser where the Web Locks API is available,
+ * so two tabs coming back online cannot send the same submission twice. Forms on the same page
+ * pass their own `key`; their replays run one after the other, and repeated calls with the same
+ * key while one is waiting share it.
+ * @param {Object} options
+ * @param {Function} options.send - async (entry) => CHEFS result; throws on failure
+ * @param {Function} [options.canSend] - (entry) => boolean; entries it rejects stay queued
+ * @param {Function} [options.onSent] - (entry, result) => void
+ * @param {string} [options.key] - Which form is replaying
+ * @returns {Promise<{sent: number, remaining: Object[]}>}
+ */
+export const replayQueue = ({ send, canSend = () => true, onSent = () => {}, key = 'default' }) => {
+  if (!replays.has(key)) {
+    const run = () => processQueue({ send, canSend, onSent });
+    const replay = replayChain.then(() => {
+      return typeof navigator !== 'undefined' && navigator.locks
+        ? navigator.locks.request('chefs-offline-queue', run)
+        : run();
+    });
+    replayChain = replay.catch(() => {});
+    replays.set(key, replay.finally(() => {
+      replays.delete(key);
+    }));
+  }
+  return replays.get(key);
+};
+
+const processQueue = async ({ send, canSend, onSent }) => {
+  let sent = 0;
+
+  for (const entry of await listQueuedSubmissions()) {
+    if (entry.status !== QUEUE_STATUS.PENDING || entry.nextAttemptAt > Date.now() || !canSend(entry)) {
+      continue;
+    }
+
+    try {
+      const result = await send(entry);
+      await removeQueuedSubmission(entry.id);
+      sent++;
+      console.log('✅ Queued submission synced:', entry.id);
+      onSent(entry, result);
+    } catch (error) {
+      entry.attempts++;
+      entry.lastError = error.response?.data?.detail || error.message;
+
+      if (isRetryable(error) && entry.attempts < MAX_ATTEMPTS) {
+        entry.nextAttemptAt = Date.now() + getRetryDelay(entry.attempts);
+        console.warn(`⚠️ Queued submission ${entry.id} failed (attempt ${entry.attempts}), retrying later`);
+      } else {
+        entry.status = QUEUE_STATUS.FAILED;
+        console.error(`🔥 Queued submission ${entry.id} was rejected:`, entry.lastError);
+      }
+      await saveQueuedSubmission(entry);
+
+      // No point trying the rest while the network is still down
+      if (isNetworkError(error)) break;
+    }
+  }
+
+  return { sent, remaining: await listQueuedSubmissions() };
+};
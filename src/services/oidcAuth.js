@@ -0,0 +1,341 @@
+import axios from 'axios';
+
+/**
+ * OIDC Auth Service
+ *
+ * Authorization code + PKCE login for CHEFS forms that require an IDIR or BCeID login
+ * (Keycloak or any standards-compliant identity provider).
+ *
+ * Handles the sign-in redirect and callback, session token storage, silent refresh via the
+ * refresh token, and logout. It also implements the ChefsApi auth provider interface
+ * (getAuthorization / peekAuthorization / invalidate / canRefresh), so it can be passed
+ * straight to chefsApi.setAuthProvider().
+ *
+ * Tokens live in sessionStorage so they are scoped to the tab and gone when it closes.
+ */
+
+// Refresh this long before the access token expires
+const REFRESH_SKEW_MS = 30 * 1000;
+
+const base64UrlEncode = (bytes) => {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+};
+
+const randomString = (length = 64) => {
+  return base64UrlEncode(crypto.getRandomValues(new Uint8Array(length))).slice(0, length);
+};
+
+const createCodeChallenge = async (verifier) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return base64UrlEncode(digest);
+};
+
+/**
+ * Decode a JWT payload (no signature check: the token came straight from the token endpoint over TLS)
+ */
+const decodeJwt = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const bytes = Uint8Array.from(atob(payload), char => char.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    return null;
+  }
+};
+
+class OidcAuth {
+  constructor({
+    authority,
+    clientId,
+    redirectUri = window.location.origin + window.location.pathname,
+    postLogoutRedirectUri = redirectUri,
+    scope = 'openid profile email',
+    idpHint = '',
+    storage = window.sessionStorage
+  }) {
+    this.authority = authority.replace(/\/$/, '');
+    this.clientId = clientId;
+    this.redirectUri = redirectUri;
+    this.postLogoutRedirectUri = postLogoutRedirectUri;
+    this.scope = scope;
+    this.idpHint = idpHint;
+    this.storage = storage;
+    this.storageKey = `chefs-oidc:${clientId}`;
+
+    this.metadata = null;
+    this.tokens = null;
+    this.refreshTimer = null;
+    this.refreshPromise = null;
+    this.listeners = new Set();
+    this.canRefresh = true;
+  }
+
+  /**
+   * Load the provider's endpoints from its discovery document
+   */
+  async discover() {
+    if (!this.metadata) {
+      const response = await axios.get(`${this.authority}/.well-known/openid-configuration`);
+      this.metadata = response.data;
+    }
+    return this.metadata;
+  }
+
+  /**
+   * Restore a stored session and complete a sign-in redirect if this page load is the callback
+   * Returns true when a user is signed in
+   */
+  async initialize() {
+    await this.discover();
+    this.restoreTokens();
+
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('code') && params.has('state')) {
+      await this.handleRedirectCallback(params);
+    } else if (params.has('error') && params.has('state')) {
+      const message = params.get('error_description') || params.get('error');
+      this.cleanCallbackUrl();
+      throw new Error(`Sign-in failed: ${message}`);
+    }
+
+    if (this.tokens && this.isExpired()) {
+      await this.refresh().catch(() => this.clearTokens());
+    }
+
+    this.scheduleRefresh();
+    return this.isAuthenticated();
+  }
+
+  /**
+   * Redirect to the identity provider to sign in
+   */
+  async login({ idpHint = this.idpHint } = {}) {
+    const metadata = await this.discover();
+    const codeVerifier = randomString(64);
+    const state = randomString(32);
+    const nonce = randomString(32);
+
+    this.storage.setItem(`${this.storageKey}:request`, JSON.stringify({
+      codeVerifier,
+      state,
+      nonce,
+      returnTo: window.location.href
+    }));
+
+    const params = new URLSearchParams({
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      response_type: 'code',
+      scope: this.scope,
+      state,
+      nonce,
+      code_challenge: await createCodeChallenge(codeVerifier),
+      code_challenge_method: 'S256'
+    });
+    if (idpHint) {
+      // Keycloak: skip the provider chooser and go straight to IDIR/BCeID
+      params.set('kc_idp_hint', idpHint);
+    }
+
+    console.log('🔐 Redirecting to identity provider for sign-in');
+    window.location.assign(`${metadata.authorization_endpoint}?${params}`);
+  }
+
+  async handleRedirectCallback(params) {
+    const request = JSON.parse(this.storage.getItem(`${this.storageKey}:request`) || 'null');
+    this.storage.removeItem(`${this.storageKey}:request`);
+
+    if (!request || request.state !== params.get('state')) {
+      this.cleanCallbackUrl();
+      throw new Error('Sign-in response did not match the sign-in request (state mismatch)');
+    }
+
+    const tokens = await this.requestTokens({
+      grant_type: 'authorization_code',
+      code: params.get('code'),
+      redirect_uri: this.redirectUri,
+      code_verifier: request.codeVerifier
+    });
+
+    if (decodeJwt(tokens.id_token)?.nonce !== request.nonce) {
+      this.cleanCallbackUrl();
+      throw new Error('Sign-in response failed nonce validation');
+    }
+
+    this.setTokens(tokens);
+    this.cleanCallbackUrl(request.returnTo);
+    console.log('✅ Signed in as', this.getUser()?.name);
+  }
+
+  /**
+   * Exchange a grant for tokens at the token endpoint
+   */
+  async requestTokens(grant) {
+    const metadata = await this.discover();
+    const body = new URLSearchParams({ client_id: this.clientId, ...grant });
+    const response = await axios.post(metadata.token_endpoint, body, {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+    return response.data;
+  }
+
+  /**
+   * Use the refresh token to get a new access token (silent refresh)
+   */
+  async refresh() {
+    if (!this.tokens?.refreshToken) {
+      throw new Error('No refresh token available');
+    }
+
+    // Share one refresh between concurrent callers
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.requestTokens({
+        grant_type: 'refresh_token',
+        refresh_token: this.tokens.refreshToken
+      })
+        .then(tokens => this.setTokens(tokens))
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * Sign out locally and at the identity provider
+   */
+  async logout() {
+    const metadata = await this.discover();
+    const idToken = this.tokens?.idToken;
+    this.clearTokens();
+
+    if (metadata.end_session_endpoint) {
+      const params = new URLSearchParams({
+        client_id: this.clientId,
+        post_logout_redirect_uri: this.postLogoutRedirectUri
+      });
+      if (idToken) params.set('id_token_hint', idToken);
+      window.location.assign(`${metadata.end_session_endpoint}?${params}`);
+    }
+  }
+
+  // ========================================
+  // SESSION STATE
+  // ========================================
+
+  isAuthenticated() {
+    return !!this.tokens?.accessToken;
+  }
+
+  isExpired() {
+    return !this.tokens || this.tokens.expiresAt - REFRESH_SKEW_MS <= Date.now();
+  }
+
+  /**
+   * Signed-in user from the ID token claims
+   */
+  getUser() {
+    const claims = this.tokens?.idToken ? decodeJwt(this.tokens.idToken) : null;
+    if (!claims) return null;
+    return {
+      id: claims.sub,
+      name: claims.name || claims.display_name || claims.preferred_username,
+      username: claims.preferred_username,
+      email: claims.email,
+      identityProvider: claims.identity_provider || claims.idp || null
+    };
+  }
+
+  /**
+   * Subscribe to sign-in/refresh/sign-out changes
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  setTokens(tokens) {
+    this.tokens = {
+      accessToken: tokens.access_token,
+      idToken: tokens.id_token || this.tokens?.idToken,
+      refreshToken: tokens.refresh_token || this.tokens?.refreshToken,
+      expiresAt: Date.now() + (tokens.expires_in || 300) * 1000
+    };
+    this.storage.setItem(this.storageKey, JSON.stringify(this.tokens));
+    this.scheduleRefresh();
+    this.notify();
+  }
+
+  restoreTokens() {
+    try {
+      this.tokens = JSON.parse(this.storage.getItem(this.storageKey) || 'null');
+    } catch {
+      this.tokens = null;
+    }
+  }
+
+  clearTokens() {
+    clearTimeout(this.refreshTimer);
+    this.tokens = null;
+    this.storage.removeItem(this.storageKey);
+    this.notify();
+  }
+
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    if (!this.tokens?.refreshToken) return;
+
+    const delay = Math.max(this.tokens.expiresAt - REFRESH_SKEW_MS - Date.now(), 0);
+    this.refreshTimer = setTimeout(() => {
+      this.refresh().catch(error => {
+        console.warn('⚠️ Silent token refresh failed, signing out:', error.message);
+        this.clearTokens();
+      });
+    }, delay);
+  }
+
+  notify() {
+    const user = this.getUser();
+    this.listeners.forEach(listener => listener(user));
+  }
+
+  /**
+   * Remove the code/state parameters the identity provider added to the URL
+   */
+  cleanCallbackUrl(returnTo) {
+    const url = new URL(returnTo || window.location.href);
+    ['code', 'state', 'session_state', 'iss', 'error', 'error_description'].forEach(param => {
+      url.searchParams.delete(param);
+    });
+    window.history.replaceState(window.history.state, '', url);
+  }
+
+  // ========================================
+  // CHEFS API AUTH PROVIDER INTERFACE
+  // ========================================
+
+  async getAuthorization({ forceRefresh = false } = {}) {
+    if (!this.tokens) return null;
+    if (forceRefresh || this.isExpired()) {
+      await this.refresh();
+    }
+    return this.peekAuthorization();
+  }
+
+  peekAuthorization() {
+    return this.tokens?.accessToken ? `Bearer ${this.tokens.accessToken}` : null;
+  }
+
+  invalidate() {
+    // Keep the refresh token so the next getAuthorization() can renew the access token
+    if (this.tokens) {
+      this.tokens.expiresAt = 0;
+    }
+  }
+}
+
+export { OidcAuth, decodeJwt };
+export default OidcAuth;
@@ -0,0 +1,189 @@
+/**
+ * Prefill Service
+ *
+ * Resolves initial form data from several sources and locks prefilled fields when asked.
+ *
+ * Prefill options:
+ * {
+ *   data: { applicantName: 'Jane' },   // host-supplied values (highest precedence)
+ *   fromUrl: true,                     // read ?prefill.<key>=value query parameters
+ *   urlPrefix: 'prefill.',             // query parameter prefix (default 'prefill.')
+ *   endpoint: 'https://.../prefill',   // GET returning a JSON object of key -> value (lowest precedence)
+ *   fields: {                          // whitelist of keys that may be prefilled
+ *     applicantName: {},
+ *     caseNumber: { lock: true }       // prefilled value can't be edited
+ *   }
+ * }
+ *
+ * Values are named by component key, or by data path (e.g. 'mailing.city') where a key is used more
+ * than once. Each is placed where its component keeps its data: inside containers and nested forms,
+ * and in the first row of data grids and edit grids (a grid's own key takes an array of rows).
+ *
+ * Without a `fields` whitelist only host-supplied `data` is used; URL and endpoint values are
+ * untrusted, so they are only ever applied to whitelisted keys.
+ */
+
+import axios from 'axios';
+import _ from 'lodash';
+import { Utils } from 'formiojs';
+
+const DEFAULT_URL_PREFIX = 'prefill.';
+
+// Components whose value is an array of rows
+const ARRAY_TYPES = ['datagrid', 'editgrid', 'datatable', 'tagpad'];
+// Components whose value is an object of child values
+const OBJECT_TYPES = ['container', 'form', 'address'];
+
+/**
+ * Parse a compact field list such as "applicantName,caseNumber:lock" into a `fields` whitelist
+ */
+export const parsePrefillFields = (value = '') => {
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .reduce((fields, entry) => {
+      const [key, option] = entry.split(':');
+      fields[key.trim()] = { lock: option?.trim() === 'lock' };
+      return fields;
+    }, {});
+};
+
+/**
+ * Convert string values (from the URL) to the type the component expects
+ */
+const coerceValue = (value, component) => {
+  if (typeof value !== 'string' || !component) return value;
+
+  switch (component.type) {
+    case 'number':
+    case 'currency': {
+      const number = Number(value);
+      return Number.isNaN(number) ? value : number;
+    }
+    case 'checkbox':
+      return value === 'true' || value === '1';
+    case 'selectboxes':
+      return value.split(',').reduce((boxes, option) => ({ ...boxes, [option.trim()]: true }), {});
+    default:
+      return component.multiple ? value.split(',').map(item => item.trim()) : value;
+  }
+};
+
+const readUrlValues = (prefix) => {
+  const values = {};
+  const params = new URLSearchParams(window.location.search);
+  params.forEach((value, name) => {
+    if (name.startsWith(prefix)) {
+      values[name.slice(prefix.length)] = value;
+    }
+  });
+  return values;
+};
+
+const fetchEndpointValues = async (endpoint) => {
+  try {
+    console.log('📥 Fetching prefill data from endpoint');
+    const response = await axios.get(endpoint, {
+      headers: { Accept: 'application/json' },
+      withCredentials: true
+    });
+    return response.data && typeof response.data === 'object' ? response.data : {};
+  } catch (error) {
+    // Prefill is best-effort: the form still works without it
+    console.warn('⚠️ Failed to fetch prefill data:', error.message);
+    return {};
+  }
+};
+
+/**
+ * Index the schema's input components by data path and by key (the first component using it)
+ * @returns {Object<string, {component: Object, dataPath: Array<string|number>}>} `dataPath` is where
+ *   the value goes in submission data, with row 0 for components inside grids
+ */
+const indexComponents = (schema) => {
+  const index = {};
+  const gridPaths = new Set();
+
+  Utils.eachComponent(schema?.components || [], (component, path) => {
+    if (!component.key || !component.input || !path) return;
+
+    const parts = path.split('.');
+    const dataPath = parts.flatMap((part, position) => {
+      const isRowParent = position < parts.length - 1 && gridPaths.has(parts.slice(0, position + 1).join('.'));
+      return isRowParent ? [part, 0] : [part];
+    });
+    if (ARRAY_TYPES.includes(component.type)) gridPaths.add(path);
+
+    const entry = { component, dataPath };
+    index[path] = entry;
+    if (!index[component.key]) index[component.key] = entry;
+  }, true);
+
+  return index;
+};
+
+/**
+ * Resolve prefill data for a schema
+ * @returns {Promise<{ data: Object, lockedKeys: string[] }>} `lockedKeys` holds the keys or paths the
+ *   values were given under
+ */
+export const resolvePrefill = async (options, schema) => {
+  if (!options) return { data: {}, lockedKeys: [] };
+
+  const fields = options.fields && Object.keys(options.fields).length > 0 ? options.fields : null;
+  const components = indexComponents(schema);
+
+  // Only keep whitelisted keys that exist on the form
+  const pick = (values, coerce = false) => {
+    return Object.entries(values || {}).reduce((picked, [key, value]) => {
+      if (fields && !fields[key]) return picked;
+      if (!components[key]) return picked;
+      // A URL string can't stand in for rows or child values
+      const { type } = components[key].component;
+      if (coerce && (ARRAY_TYPES.includes(type) || OBJECT_TYPES.includes(type))) return picked;
+      picked[key] = coerce ? coerceValue(value, components[key].component) : value;
+      return picked;
+    }, {});
+  };
+
+  let values = {};
+
+  if (fields) {
+    if (options.endpoint) {
+      values = { ...values, ...pick(await fetchEndpointValues(options.endpoint)) };
+    }
+    if (options.fromUrl) {
+      values = { ...values, ...pick(readUrlValues(options.urlPrefix || DEFAULT_URL_PREFIX), true) };
+    }
+  } else if (options.endpoint || options.fromUrl) {
+    console.warn('⚠️ Prefill from URL or endpoint requires a `fields` whitelist; ignoring those sources');
+  }
+
+  values = { ...values, ...pick(options.data) };
+
+  const data = {};
+  Object.entries(values).forEach(([key, value]) => _.set(data, components[key].dataPath, value));
+
+  const lockedKeys = fields
+    ? Object.keys(values).filter(key => fields[key]?.lock)
+    : [];
+
+  console.log('📥 Prefill resolved for keys:', Object.keys(values), 'locked:', lockedKeys);
+  return { data, lockedKeys };
+};
+
+/**
+ * Return a copy of the schema with the components named by key or data path disabled
+ */
+export const applyPrefillLocks = (schema, lockedKeys = []) => {
+  if (!lockedKeys.length) return schema;
+
+  const lockedSchema = JSON.parse(JSON.stringify(schema));
+  Utils.eachComponent(lockedSchema.components || [], (component, path) => {
+    if (lockedKeys.includes(component.key) || lockedKeys.includes(path)) {
+      component.disabled = true;
+    }
+  }, true);
+  return lockedSchema;
+};
@@ -0,0 +1,432 @@
+/**
+ * Submission Export
+ *
+ * Turns a form schema and a submission into a labelled document (sections, fields and tables)
+ * and renders it as a print-optimized HTML page, e.g. as a receipt after submitting. PDFs are saved
+ * from that page through the browser's print dialog, so any script the submission is written in is
+ * drawn with the browser's fonts. Works from the schema JSON alone, so it doesn't need a rendered FormIO form.
+ */
+
+import { Utils } from 'formiojs';
+
+// Components with nothing to show in a receipt
+const SKIPPED_TYPES = ['button', 'buttonadvanced', 'content', 'htmlelement', 'heading', 'hidden', 'recaptcha', 'alert', 'info'];
+
+// Layout components whose label becomes a section heading
+const SECTION_TYPES = ['panel', 'fieldset', 'well'];
+
+// Components whose value is an array of rows
+const ARRAY_TYPES = ['datagrid', 'editgrid', 'datatable', 'tagpad'];
+
+// Repeating components with more columns than this are listed row by row instead of as a table
+const MAX_TABLE_COLUMNS = 5;
+
+/**
+ * CHEFS "simple" components (simplefile, simplepanel, ...) extend the FormIO component of the same name
+ */
+const baseType = (type = '') => type.replace(/^simple/, '');
+
+const isEmpty = (value) => {
+  return value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+};
+
+const componentLabel = (component) => {
+  return component.label || component.legend || component.title || component.key || '';
+};
+
+const getValue = (data, key) => {
+  return String(key || '').split('.').reduce((value, part) => value?.[part], data);
+};
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+/**
+ * A row that also holds itself at its path, so conditions naming their field by full path
+ * ("grid.field") find it the way they do in a rendered form
+ */
+const nestRow = (row, path) => {
+  const nested = { ...row };
+  const parts = path.split('.');
+  let target = nested;
+  parts.slice(0, -1).forEach(part => {
+    target[part] = { ...target[part] };
+    target = target[part];
+  });
+  target[parts[parts.length - 1]] = row;
+  return nested;
+};
+
+/**
+ * Whether a component's conditions show it for this submission. Fields hidden by a condition can keep
+ * their value (clearOnHide: false), so the value alone doesn't tell.
+ * @param {Object} component
+ * @param {Object} row - The data the component sits in (a grid row or container), else the submission data
+ * @param {Object} context - The whole submission `data`, the `form` schema and the data `path` of `row`
+ */
+const isShown = (component, row, { data, form, path }) => {
+  try {
+    return Utils.checkCondition(component, path ? nestRow(row, path) : row, data, form) !== false;
+  } catch (err) {
+    console.warn(`⚠️ Could not check the conditions of "${component.key}" for the receipt:`, err);
+    return true;
+  }
+};
+
+// ========================================
+// VALUE FORMATTING
+// ========================================
+
+const formatFileSize = (bytes) => {
+  if (!Number.isFinite(bytes)) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+/**
+ * Look up the label of a select/radio/selectboxes option, falling back to the value itself
+ */
+const optionLabel = (component, value) => {
+  const options = component.values || component.data?.values || [];
+  const option = options.find(candidate => String(candidate.value) === String(value?.value ?? value));
+  if (option) return option.label;
+
+  if (value && typeof value === 'object') {
+    return value.label ?? value.name ?? value.title ?? value.text ?? Object.values(value).join(' ');
+  }
+  return String(value);
+};
+
+const formatDate = (component, value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return component.enableTime === false ? date.toLocaleDateString() : date.toLocaleString();
+};
+
+const formatAddress = (value) => {
+  if (typeof value === 'string') return value;
+  return value.formatted_address || value.fullAddress || value.display_name ||
+    value.properties?.fullAddress || Object.values(value).filter(part => typeof part === 'string').join(', ');
+};
+
+/**
+ * Format a component value as text
+ * @returns {string|null} null when there is nothing to show
+ */
+export const formatComponentValue = (component, value) => {
+  if (isEmpty(value)) return null;
+
+  const type = baseType(component.type);
+  const values = Array.isArray(value) ? value : [value];
+
+  switch (type) {
+    case 'checkbox':
+      return value ? 'Yes' : 'No';
+
+    case 'selectboxes': {
+      const checked = Object.entries(value).filter(([, on]) => on).map(([key]) => optionLabel(component, key));
+      return checked.length > 0 ? checked.join(', ') : null;
+    }
+
+    case 'select':
+    case 'radio':
+      return values.map(option => optionLabel(component, option)).join(', ');
+
+    case 'file':
+    case 'image':
+      return values.map(file => {
+        const name = file.originalName || file.name || file.fileName || 'File';
+        const size = formatFileSize(file.size);
+        return size ? `${name} (${size})` : name;
+      }).join('\n');
+
+    case 'signature':
+      return 'Signed';
+
+    case 'datetime':
+      return formatDate(component, value);
+
+    case 'currency':
+      return Number(value).toLocaleString(undefined, { style: 'currency', currency: component.currency || 'CAD' });
+
+    case 'number':
+      return values.map(number => Number(number).toLocaleString()).join(', ');
+
+    case 'address':
+    case 'bcaddress':
+      return formatAddress(value);
+
+    case 'survey':
+      return Object.entries(value).map(([question, answer]) => {
+        const label = component.questions?.find(candidate => candidate.value === question)?.label || question;
+        const answerLabel = component.values?.find(candidate => candidate.value === answer)?.label || answer;
+        return `${label}: ${answerLabel}`;
+      }).join('\n');
+
+    default:
+      return values.map(item => {
+        if (item && typeof item === 'object') return Object.values(item).join(' ');
+        return String(item);
+      }).join(component.multiple ? '\n' : ', ');
+  }
+};
+
+// ========================================
+// DOCUMENT MODEL
+// ========================================
+
+/**
+ * The input components inside a repeating component, looking through layout components
+ */
+const collectColumns = (components = []) => {
+  return components.flatMap(component => {
+    const type = baseType(component.type);
+    if (SKIPPED_TYPES.includes(type) || component.hidden) return [];
+    if (component.columns) return collectColumns(component.columns.flatMap(column => column.components || []));
+    if (component.rows) return collectColumns(component.rows.flat().flatMap(cell => cell.components || []));
+    if (component.components && !component.input) return collectColumns(component.components);
+    return component.input ? [component] : [];
+  });
+};
+
+const buildSection = (title, children) => {
+  return children.length > 0 ? [{ type: 'section', title, children }] : [];
+};
+
+const buildRepeatingNode = (component, rows, parentContext) => {
+  if (!Array.isArray(rows) || rows.length === 0) return [];
+
+  const context = { ...parentContext, path: joinPath(parentContext.path, component.key) };
+  const label = componentLabel(component);
+  const columns = collectColumns(component.components);
+  const nested = columns.some(column => ARRAY_TYPES.includes(baseType(column.type)) || column.tree);
+
+  if (!nested && columns.length <= MAX_TABLE_COLUMNS) {
+    return [{
+      type: 'table',
+      label,
+      columns: columns.map(componentLabel),
+      rows: rows.map(row => columns.map(column => {
+        return isShown(column, row, context) ? formatComponentValue(column, getValue(row, column.key)) ?? '' : '';
+      }))
+    }];
+  }
+
+  return [{
+    type: 'group',
+    label,
+    items: rows.map((row, index) => ({
+      title: `${label} ${index + 1}`,
+      children: buildNodes(component.components, row, context)
+    }))
+  }];
+};
+
+const buildNode = (component, data, context) => {
+  const type = baseType(component.type);
+  if (!component.type || SKIPPED_TYPES.includes(type) || component.hidden) return [];
+  if (!isShown(component, data, context)) return [];
+
+  if (ARRAY_TYPES.includes(type)) {
+    return buildRepeatingNode(component, getValue(data, component.key), context);
+  }
+
+  // Containers keep their children's values in a nested object
+  if (type === 'container' && component.key) {
+    const children = buildNodes(component.components, getValue(data, component.key) || {}, {
+      ...context,
+      path: joinPath(context.path, component.key)
+    });
+    return component.hideLabel ? children : buildSection(componentLabel(component), children);
+  }
+
+  if (type === 'tabs') {
+    return (component.components || []).flatMap(tab => buildSection(tab.label, buildNodes(tab.components, data, context)));
+  }
+
+  if (component.columns) {
+    return buildNodes(component.columns.flatMap(column => column.components || []), data, context);
+  }
+
+  if (component.rows && type === 'table') {
+    return buildNodes(component.rows.flat().flatMap(cell => cell.components || []), data, context);
+  }
+
+  if (component.components) {
+    const children = buildNodes(component.components, data, context);
+    const title = component.title || component.legend || (component.hideLabel ? '' : component.label);
+    return SECTION_TYPES.includes(type) && title ? buildSection(title, children) : children;
+  }
+
+  if (!component.input) return [];
+
+  const value = formatComponentValue(component, getValue(data, component.key));
+  if (value === null) return [];
+
+  return [{ type: 'field', label: componentLabel(component), value }];
+};
+
+const buildNodes = (components = [], data = {}, context) => {
+  return components.flatMap(component => buildNode(component, data, context));
+};
+
+/**
+ * Build a printable document from a form schema and submission data
+ *
+ * Fields with no value and fields whose conditions hide them are left out (even when they kept a
+ * value), as are buttons, content and hidden components.
+ *
+ * @param {Object} schema - FormIO form schema
+ * @param {Object} data - Submission data
+ * @param {Object} [meta]
+ * @param {string} [meta.title] - Defaults to the schema title
+ * @param {string} [meta.confirmationId]
+ * @param {string|Date} [meta.submittedAt]
+ * @param {string|number} [meta.version] - Form version number
+ * @returns {{title: string, confirmationId: string|null, receipt: Array<{label: string, value: string}>, nodes: Object[]}}
+ */
+export const buildSubmissionDocument = (schema, data = {}, { title, confirmationId, submittedAt, version } = {}) => {
+  const receipt = [];
+  if (confirmationId) receipt.push({ label: 'Confirmation ID', value: String(confirmationId) });
+  if (submittedAt) receipt.push({ label: 'Submitted', value: new Date(submittedAt).toLocaleString() });
+  if (version) receipt.push({ label: 'Form version', value: String(version) });
+
+  return {
+    title: title || schema?.title || 'Form submission',
+    confirmationId: confirmationId || null,
+    receipt,
+    nodes: buildNodes(schema?.components, data, { data, form: schema, path: '' })
+  };
+};
+
+// ========================================
+// HTML
+// ========================================
+
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+const PRINT_STYLES = `
+  body { font: 11pt/1.4 "BC Sans", "Noto Sans", Helvetica, Arial, sans-serif; color: #1a1a1a; margin: 0 auto; max-width: 48rem; padding: 1.5rem; }
+  h1 { font-size: 18pt; margin: 0 0 0.75rem; }
+  h2 { font-size: 14pt; margin: 1.25rem 0 0.5rem; border-bottom: 1px solid #ccc; padding-bottom: 0.25rem; }
+  h3, h4, h5, h6 { font-size: 12pt; margin: 1rem 0 0.5rem; }
+  dl { display: grid; grid-template-columns: minmax(8rem, 1fr) 2fr; gap: 0.25rem 1rem; margin: 0 0 0.5rem; }
+  dt { font-weight: bold; }
+  dd { margin: 0; white-space: pre-wrap; overflow-wrap: anywhere; }
+  .receipt { border: 1px solid #ccc; padding: 0.75rem; margin-bottom: 1rem; }
+  table { border-collapse: collapse; width: 100%; margin: 0 0 0.75rem; }
+  caption { text-align: left; font-weight: bold; padding-bottom: 0.25rem; }
+  th, td { border: 1px solid #ccc; padding: 0.25rem 0.5rem; text-align: left; vertical-align: top; white-space: pre-wrap; }
+  th { background: #f2f2f2; }
+  section, tr, dl { break-inside: avoid; }
+  @page { margin: 2cm; }
+  @media print { body { padding: 0; max-width: none; } }
+`;
+
+const renderFields = (fields) => {
+  return `<dl>${fields.map(field => `<dt>${escapeHtml(field.label)}</dt><dd>${escapeHtml(field.value)}</dd>`).join('')}</dl>`;
+};
+
+const renderNodes = (nodes, level) => {
+  const heading = Math.min(level, 6);
+  const html = [];
+  let fields = [];
+
+  const flushFields = () => {
+    if (fields.length > 0) html.push(renderFields(fields));
+    fields = [];
+  };
+
+  nodes.forEach(node => {
+    if (node.type === 'field') {
+      fields.push(node);
+      return;
+    }
+    flushFields();
+
+    if (node.type === 'section') {
+      html.push(`<section><h${heading}>${escapeHtml(node.title)}</h${heading}>${renderNodes(node.children, level + 1)}</section>`);
+    } else if (node.type === 'table') {
+      const head = node.columns.map(column => `<th scope="col">${escapeHtml(column)}</th>`).join('');
+      const body = node.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('');
+      html.push(`<table><caption>${escapeHtml(node.label)}</caption><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`);
+    } else if (node.type === 'group') {
+      node.items.forEach(item => {
+        html.push(`<section><h${heading}>${escapeHtml(item.title)}</h${heading}>${renderNodes(item.children, level + 1)}</section>`);
+      });
+    }
+  });
+  flushFields();
+
+  return html.join('');
+};
+
+/**
+ * Render a document from buildSubmissionDocument() as a standalone, print-optimized HTML page
+ * @returns {string}
+ */
+export const renderSubmissionHtml = (doc) => {
+  const receipt = doc.receipt.length > 0 ? `<div class="receipt">${renderFields(doc.receipt)}</div>` : '';
+  return `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>${escapeHtml(doc.title)}</title>` +
+    `<style>${PRINT_STYLES}</style></head><body><h1>${escapeHtml(doc.title)}</h1>${receipt}${renderNodes(doc.nodes, 2)}</body></html>`;
+};
+
+/**
+ * Open the browser print dialog for a document, from a hidden frame so the page itself is untouched
+ * @param {Object} doc - From buildSubmissionDocument()
+ * @param {Object} [options]
+ * @param {string} [options.pageTitle] - Title of the printed page; browsers suggest it as the PDF file name
+ */
+export const printSubmission = (doc, { pageTitle } = {}) => {
+  return new Promise((resolve) => {
+    const frame = document.createElement('iframe');
+    frame.setAttribute('aria-hidden', 'true');
+    frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0; right: 0; bottom: 0;';
+
+    const cleanup = () => {
+      frame.remove();
+      resolve();
+    };
+
+    frame.onload = () => {
+      frame.contentWindow.addEventListener('afterprint', () => setTimeout(cleanup));
+      frame.contentWindow.focus();
+      frame.contentWindow.print();
+      // Browsers that don't fire afterprint for frames
+      setTimeout(cleanup, 60000);
+    };
+    const html = renderSubmissionHtml(doc);
+    frame.srcdoc = pageTitle ? html.replace(/<title>.*?<\/title>/, `<title>${escapeHtml(pageTitle)}</title>`) : html;
+    document.body.appendChild(frame);
+  });
+};
+
+// ========================================
+// PDF
+// ========================================
+
+const toFileName = (text) => {
+  return String(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '') || 'submission';
+};
+
+/**
+ * Save a document as a PDF through the print dialog ("Save as PDF"), so it is laid out by the print
+ * page and every character is drawn with the browser's fonts
+ * @param {Object} doc - From buildSubmissionDocument()
+ * @param {string} [fileName] - Suggested file name; defaults to the title and confirmation ID
+ */
+export const saveSubmissionPdf = (doc, fileName) => {
+  const name = fileName || toFileName([doc.title, doc.confirmationId].filter(Boolean).join(' '));
+  return printSubmission(doc, { pageTitle: name.replace(/\.pdf$/i, '') });
+};
+
+export default {
+  buildSubmissionDocument,
+  formatComponentValue,
+  renderSubmissionHtml,
+  printSubmission,
+  saveSubmissionPdf
+};
@@ -0,0 +1,329 @@
+/**
+ * Upload Manager
+ *
+ * Tracks the files a form is uploading so the form can report progress and hold back the submit
+ * until every upload has finished, and uploads large files in chunks that are retried one by one.
+ *
+ * Chunked uploads use an upload session on the file API:
+ *   POST   /files/uploads?formId=      { name, size, type, chunkSize, checksum } -> { id }
+ *   GET    /files/uploads/:id          -> { receivedChunks: [index, ...] }
+ *   PUT    /files/uploads/:id/chunks/:index   (chunk bytes, Content-Range header)
+ *   POST   /files/uploads/:id/complete -> the stored file, as returned by POST /files
+ * A session that failed part way is resumed (only missing chunks are sent) when the same file is uploaded again,
+ * also after a reload: session IDs are kept in localStorage until the session completes or expires.
+ *
+ * CHEFS itself has no upload sessions; they are provided by the token server (server/token-server.js).
+ */
+
+import { isRetryable } from '@/services/offlineQueue.js';
+
+export const UPLOAD_STATUS = {
+  UPLOADING: 'uploading',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const BASE_CHUNK_RETRY_DELAY_MS = 1000;
+
+let nextUploadId = 1;
+
+/**
+ * True when an upload was stopped through its AbortController
+ */
+export const isUploadCancelled = (error) => {
+  return error?.name === 'AbortError' || error?.name === 'CanceledError' || error?.code === 'ERR_CANCELED';
+};
+
+const createAbortError = () => {
+  const error = new Error('Upload cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Wait `ms`, rejecting early if the upload is cancelled
+ */
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Same file selected again (e.g. after a failed upload): form, name, size and modification time match
+const fingerprint = (file, scope) => [scope, file.name, file.size, file.lastModified].join(':');
+
+const SESSION_STORAGE_KEY = 'chefs-upload-sessions';
+// The token server keeps unfinished sessions for a day by default; older IDs are not worth resuming
+const SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Upload session IDs by file fingerprint, kept in localStorage so a failed upload can be resumed
+ * after a reload. Falls back to memory when storage is unavailable (private browsing, quota).
+ */
+class SessionStore {
+  constructor() {
+    this.memory = new Map();
+  }
+
+  read() {
+    try {
+      const entries = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || '{}');
+      const now = Date.now();
+      return Object.fromEntries(Object.entries(entries).filter(([, entry]) => now - entry.savedAt < SESSION_MAX_AGE_MS));
+    } catch {
+      return Object.fromEntries(this.memory);
+    }
+  }
+
+  write(entries) {
+    try {
+      localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(entries));
+    } catch {
+      this.memory = new Map(Object.entries(entries));
+    }
+  }
+
+  get(key) {
+    return this.read()[key]?.id || null;
+  }
+
+  set(key, id) {
+    this.write({ ...this.read(), [key]: { id, savedAt: Date.now() } });
+  }
+
+  delete(key) {
+    const entries = this.read();
+    delete entries[key];
+    this.write(entries);
+  }
+}
+
+export class UploadManager {
+  constructor() {
+    // id -> { id, name, size, loaded, status, error, controller, promise }
+    this.uploads = new Map();
+    // file fingerprint -> upload session ID, kept after a failed chunked upload so it can be resumed
+    this.sessions = new SessionStore();
+    this.listeners = new Set();
+  }
+
+  /**
+   * Uploads still running
+   */
+  get active() {
+    return [...this.uploads.values()].filter(upload => upload.status === UPLOAD_STATUS.UPLOADING);
+  }
+
+  get isBusy() {
+    return this.active.length > 0;
+  }
+
+  /**
+   * Current state of every tracked upload, for display
+   */
+  getState() {
+    const uploads = [...this.uploads.values()].map(({ id, name, size, loaded, status, error }) => ({
+      id, name, size, loaded, status, error: error?.message || null
+    }));
+    const active = uploads.filter(upload => upload.status === UPLOAD_STATUS.UPLOADING);
+    const total = active.reduce((sum, upload) => sum + upload.size, 0);
+    const loaded = active.reduce((sum, upload) => sum + upload.loaded, 0);
+    return {
+      uploads,
+      active: active.length,
+      progress: total > 0 ? Math.round(loaded / total * 100) : 100
+    };
+  }
+
+  /**
+   * @param {Function} listener - (state from getState()) => void
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const state = this.getState();
+    this.listeners.forEach(listener => listener(state));
+  }
+
+  /**
+   * Track an upload
+   * @param {File|Blob} file
+   * @param {Function} run - ({ signal, onProgress(loaded) }) => Promise, performs the upload
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the upload
+   * @param {Function} [options.onProgress] - ({ id, loaded, total, progress }) => void
+   * @returns {Promise} What `run` resolves with
+   */
+  track(file, run, { signal, onProgress = () => {} } = {}) {
+    const controller = new AbortController();
+    if (signal?.aborted) controller.abort();
+    signal?.addEventListener('abort', () => controller.abort(), { once: true });
+
+    const upload = {
+      id: `upload-${nextUploadId++}`,
+      name: file.name || 'file',
+      size: file.size,
+      loaded: 0,
+      status: UPLOAD_STATUS.UPLOADING,
+      error: null,
+      controller
+    };
+    this.uploads.set(upload.id, upload);
+
+    const reportProgress = (loaded) => {
+      upload.loaded = Math.min(loaded, upload.size);
+      onProgress({
+        id: upload.id,
+        loaded: upload.loaded,
+        total: upload.size,
+        progress: upload.size > 0 ? upload.loaded / upload.size : 1
+      });
+      this.notify();
+    };
+
+    upload.promise = Promise.resolve()
+      .then(() => {
+        if (controller.signal.aborted) throw createAbortError();
+        return run({ signal: controller.signal, onProgress: reportProgress });
+      })
+      .then(result => {
+        upload.status = UPLOAD_STATUS.DONE;
+        upload.loaded = upload.size;
+        return result;
+      }, error => {
+        upload.status = isUploadCancelled(error) || controller.signal.aborted ? UPLOAD_STATUS.CANCELLED : UPLOAD_STATUS.FAILED;
+        upload.error = error;
+        throw error;
+      })
+      .finally(() => {
+        // Finished uploads are only kept while others are running, so the overall progress stays meaningful
+        if (!this.isBusy) {
+          this.uploads.clear();
+        }
+        this.notify();
+      });
+
+    this.notify();
+    return upload.promise;
+  }
+
+  cancel(id) {
+    this.uploads.get(id)?.controller.abort();
+  }
+
+  cancelAll() {
+    this.active.forEach(upload => upload.controller.abort());
+  }
+
+  /**
+   * Resolve once no uploads are running (including ones started while waiting)
+   * @returns {Promise<Object[]>} Uploads that failed or were cancelled
+   */
+  async whenIdle() {
+    const unsuccessful = [];
+    while (this.isBusy) {
+      const active = this.active;
+      await Promise.allSettled(active.map(upload => upload.promise));
+      unsuccessful.push(...active.filter(upload => upload.status !== UPLOAD_STATUS.DONE));
+    }
+    return unsuccessful;
+  }
+
+  // ========================================
+  // CHUNKED UPLOADS
+  // ========================================
+
+  /**
+   * Upload a file in chunks over an upload session, resuming an earlier session for the same file
+   * @param {File|Blob} file
+   * @param {Object} transport
+   * @param {Function} transport.createSession - ({ name, size, type, chunkSize, checksum }, { signal }) => { id }
+   * @param {Function} transport.getSession - (id, { signal }) => { receivedChunks }
+   * @param {Function} transport.sendChunk - (id, index, blob, { start, end, total, signal, onProgress }) => void
+   * @param {Function} transport.complete - (id, { signal }) => the stored file
+   * @param {Object} options
+   * @param {number} options.chunkSize - Bytes per chunk
+   * @param {number} [options.retries] - Attempts per chunk after the first
+   * @param {string} [options.checksum] - SHA-256 of the whole file, for the server to verify the assembled file
+   * @param {string} [options.scope] - Keeps sessions apart per form (the form ID)
+   * @param {AbortSignal} [options.signal]
+   * @param {Function} [options.onProgress] - (bytes uploaded) => void
+   */
+  async uploadInChunks(file, transport, { chunkSize, retries = 3, checksum = null, scope = '', signal, onProgress = () => {} }) {
+    const key = fingerprint(file, scope);
+    const chunkCount = Math.max(Math.ceil(file.size / chunkSize), 1);
+    const chunkBytes = (index) => Math.min(chunkSize, file.size - index * chunkSize);
+
+    let sessionId = this.sessions.get(key);
+    let received = new Set();
+    if (sessionId) {
+      try {
+        const session = await transport.getSession(sessionId, { signal });
+        received = new Set(session.receivedChunks || []);
+        console.log(`📁 Resuming upload of ${file.name}: ${received.size}/${chunkCount} chunks already received`);
+      } catch (error) {
+        if (isUploadCancelled(error)) throw error;
+        // Expired or unknown session: start over
+        this.sessions.delete(key);
+        sessionId = null;
+      }
+    }
+    if (!sessionId) {
+      const session = await transport.createSession(
+        { name: file.name, size: file.size, type: file.type, chunkSize, checksum },
+        { signal }
+      );
+      sessionId = session.id;
+      this.sessions.set(key, sessionId);
+    }
+
+    let uploaded = [...received].reduce((sum, index) => sum + chunkBytes(index), 0);
+    onProgress(uploaded);
+
+    for (let index = 0; index < chunkCount; index++) {
+      if (received.has(index)) continue;
+
+      const start = index * chunkSize;
+      const end = Math.min(start + chunkSize, file.size);
+      for (let attempt = 0; ; attempt++) {
+        try {
+          await transport.sendChunk(sessionId, index, file.slice(start, end), {
+            start,
+            end,
+            total: file.size,
+            signal,
+            onProgress: loaded => onProgress(uploaded + loaded)
+          });
+          break;
+        } catch (error) {
+          if (isUploadCancelled(error) || attempt >= retries || !isRetryable(error)) throw error;
+          console.warn(`⚠️ Chunk ${index + 1}/${chunkCount} of ${file.name} failed, retrying (${attempt + 1}/${retries})`);
+          await delay(BASE_CHUNK_RETRY_DELAY_MS * 2 ** attempt, signal);
+        }
+      }
+      uploaded += end - start;
+      onProgress(uploaded);
+    }
+
+    const stored = await transport.complete(sessionId, { signal });
+    this.sessions.delete(key);
+    return stored;
+  }
+}
+
+export default UploadManager;
@@ -0,0 +1,102 @@
+import { defineStore } from 'pinia';
+import { ref, computed } from 'vue';
+import config from '@/config/index.js';
+import { OidcAuth } from '@/services/oidcAuth.js';
+import { useChefsFormStore } from '@/stores/chefsForm.js';
+import { AuthError, ERROR_CODES } from '@/services/errors.js';
+import { forgetAutosaveKey } from '@/services/autosave.js';
+
+/**
+ * Optional OIDC login for forms that require an IDIR/BCeID sign-in
+ * Enabled when VITE_OIDC_AUTHORITY and VITE_OIDC_CLIENT_ID are configured
+ */
+export const useAuthStore = defineStore('auth', () => {
+  // State
+  const user = ref(null);
+  const initialized = ref(false);
+  // AuthError when signing in could not be set up
+  const error = ref(null);
+
+  const oidc = config.oidcAuthority && config.oidcClientId
+    ? new OidcAuth({
+        authority: config.oidcAuthority,
+        clientId: config.oidcClientId,
+        scope: config.oidcScope,
+        idpHint: config.oidcIdpHint
+      })
+    : null;
+
+  // Computed
+  const enabled = computed(() => !!oidc);
+  const isAuthenticated = computed(() => !!user.value);
+
+  // Actions
+  let initPromise = null;
+
+  /**
+   * Sign in once per page, then feed OIDC access tokens into a form's ChefsApi instead of its API key
+   * Every embedded form calls this with its own store
+   */
+  const initialize = async (formStore = useChefsFormStore()) => {
+    if (!oidc) return isAuthenticated.value;
+
+    if (!initPromise) {
+      initPromise = (async () => {
+        error.value = null;
+
+        try {
+          oidc.onChange((changedUser) => {
+            user.value = changedUser;
+          });
+
+          await oidc.initialize();
+          user.value = oidc.getUser();
+          return true;
+        } catch (err) {
+          error.value = new AuthError(ERROR_CODES.AUTH_REQUIRED, { detail: err.message, cause: err });
+          console.error('Error initializing sign-in:', err);
+          return false;
+        } finally {
+          initialized.value = true;
+        }
+      })();
+    }
+
+    if (!await initPromise) return false;
+
+    formStore.setAuth({ authProvider: oidc });
+    return isAuthenticated.value;
+  };
+
+  const login = async (idpHint) => {
+    if (!oidc) return;
+    await oidc.login(idpHint ? { idpHint } : undefined);
+  };
+
+  const logout = async () => {
+    if (!oidc) return;
+    // The next person at this computer must not be able to restore this user's answers
+    try {
+      await forgetAutosaveKey();
+    } catch (err) {
+      console.warn('Could not remove the autosave key:', err);
+    }
+    await oidc.logout();
+  };
+
+  return {
+    // State
+    user,
+    initialized,
+    error,
+
+    // Computed
+    enabled,
+    isAuthenticated,
+
+    // Actions
+    initialize,
+    login,
+    logout
+  };
+});
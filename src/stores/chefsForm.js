@@ -1,10 +1,41 @@
-import { defineStore } from 'pinia';
-import { ref, computed, reactive } from 'vue';
-import { chefsApi } from '@/services/chefsApi.js';
-import config from '@/config/index.js';
+import { defineStore, getActivePinia } from 'pinia';
+import { ref, computed, reactive, markRaw } from 'vue';
+import { chefsApi, createChefsApi } from '@/services/chefsApi.js';
+import config, { FORM_VERSION_MODES, SUBMISSION_MODES } from '@/config/index.js';
 import { componentLoader } from '@/services/componentLoader.js';
+import { CHEFS_STORAGE } from '@/services/chefsFileStorage.js';
+import {
+  QUEUE_STATUS,
+  isNetworkError,
+  enqueueSubmission,
+  listQueuedSubmissions,
+  removeQueuedSubmission,
+  removePendingFile,
+  findPendingFileIds,
+  replayQueue
+} from '@/services/offlineQueue.js';
+import { cacheAssets } from '@/services/formCache.js';
+import {
+  ERROR_CODES,
+  ChefsError,
+  NotFoundError,
+  VersionUnpublishedError,
+  ComponentLoadError,
+  ConfigurationError,
+  isCancellation,
+  toChefsError
+} from '@/services/errors.js';
 import { Formio } from 'formiojs';
 
+// Submission statuses that can no longer be edited, whatever the caller's permissions
+const LOCKED_SUBMISSION_STATUSES = ['COMPLETED', 'CANCELLED'];
+
+// CHEFS permission needed to change a submission (or a draft)
+const SUBMISSION_UPDATE_PERMISSION = 'submission_update';
+
+// The page's main form; it uses the shared chefsApi client and keeps the original store ID
+export const DEFAULT_FORM_INSTANCE = 'default';
+
 // Make Formio available globally for external components
 if (typeof window !== 'undefined') {
   window.Formio = Formio;
@@ -13,73 +44,229 @@ if (typeof window !== 'undefined') {
   componentLoader.initialize(Formio);
 }
 
-export const useChefsFormStore = defineStore('chefsForm', () => {
+/**
+ * File IDs from `fileIds` that the data refers to (file components keep the ID in their value or its URL)
+ */
+const findReferencedFileIds = (fileIds, data) => {
+  const serialized = JSON.stringify(data ?? {});
+  return fileIds.filter(fileId => serialized.includes(fileId));
+};
+
+const setupChefsFormStore = (instanceId) => {
+  // Each form talks to CHEFS through its own client, so its auth and config can't be overwritten by another form
+  const api = instanceId === DEFAULT_FORM_INSTANCE ? chefsApi : createChefsApi();
+
+  // Owner of the external assets loaded for this form, see componentLoader.replaceAssets()
+  const assetOwner = instanceId === DEFAULT_FORM_INSTANCE ? 'chefs-form' : `chefs-form:${instanceId}`;
+
   // State
   const loading = ref(false);
+  // A ChefsError (see services/errors.js) describing why the form can't be used
   const error = ref(null);
   const formModules = ref([]);
   const formModuleVersions = ref([]);
   const selectedFormModule = ref(null);
   const selectedFormModuleVersion = ref(null);
   const formSchema = ref(null);
+  const renderedVersion = ref(null);
   const submissionData = ref(null);
+  const submissionResult = ref(null);
+  const submitting = ref(false);
+  const draftSubmission = ref(null);
+  const savingDraft = ref(false);
+  const lastDraftSavedAt = ref(null);
+  const loadedSubmission = ref(null);
   const isFormReady = ref(false);
+  // Set when missing custom components were replaced by built-in fallbacks
+  const degradedNotice = ref(null);
+  const fallbackComponents = ref([]);
+  // Static analysis report for the rendered schema (see componentLoader.analyzeSchema)
+  const schemaAnalysis = ref(null);
+  // External component scripts refused or flagged by the trust policy
+  const componentPolicyViolations = ref([]);
+  // Set when the cached form turned out to be out of date; the next load uses the fresh copy
+  const formUpdateAvailable = ref(false);
+
+  // Offline queue: submissions waiting for the network, and the one this page queued (if any)
+  const pendingSubmissions = ref([]);
+  const queuedSubmission = ref(null);
+  const syncing = ref(false);
+  let replayTimer = null;
+
+  // One AbortController per operation (the latest run of each); see beginOperation()
+  const operations = new Map();
+
+  // Files uploaded on this page, tracked until the final submission (or deleted when it doesn't use them)
+  const sessionFileIds = ref([]);
+  // Those the last saved draft (or queued submission) refers to; kept if the page is abandoned
+  const savedFileIds = ref([]);
 
   // Form configuration
   const formConfig = reactive({
     formId: config.formId,
     formVersionId: config.formVersionId,
+    versionMode: config.versionMode,
     apiKey: config.apiKey,
-    baseApiUrl: config.apiUrl
+    authMode: 'apiKey',
+    baseApiUrl: config.apiUrl,
+    draftId: config.draftId,
+    submissionId: config.submissionId,
+    submissionMode: config.submissionMode
   });
 
   // Initialize API credentials if available
   if (config.formId && config.apiKey) {
-    chefsApi.setCredentials(config.formId, config.apiKey);
+    api.setCredentials(config.formId, config.apiKey);
+  }
+
+  // A token endpoint replaces the API key entirely
+  if (config.authTokenUrl) {
+    api.configureAuth({ tokenUrl: config.authTokenUrl });
+    formConfig.authMode = 'token';
+    formConfig.apiKey = '';
   }
 
   // Computed
+  // The latest published mode and existing submissions find their own version, so no version ID is needed
+  const requiresVersionId = computed(() => {
+    return formConfig.versionMode !== FORM_VERSION_MODES.LATEST && !formConfig.submissionId;
+  });
+
   const isFullyConfigured = computed(() => {
     return !!(
       formConfig.baseApiUrl &&
       formConfig.formId &&
-      formConfig.formVersionId &&
-      formConfig.apiKey
+      (formConfig.formVersionId || !requiresVersionId.value) &&
+      (formConfig.apiKey || formConfig.authMode === 'token')
     );
   });
 
+  // Published version used for module lookups and submissions (resolved once the schema is fetched)
+  const activeFormVersionId = computed(() => {
+    return renderedVersion.value?.formVersionId || formConfig.formVersionId;
+  });
+
+  // Data to load into the form: a resumed draft or an existing submission, with its metadata (e.g. { page })
+  const initialSubmission = computed(() => {
+    if (draftSubmission.value) return draftSubmission.value;
+    if (loadedSubmission.value) return { data: loadedSubmission.value.data, metadata: loadedSubmission.value.metadata };
+    return null;
+  });
+
+  // Existing submissions are read-only unless the caller asked to edit, CHEFS lets them and the status allows it
+  const isSubmissionReadOnly = computed(() => {
+    const submission = loadedSubmission.value;
+    if (!submission) return false;
+    if (formConfig.submissionMode !== SUBMISSION_MODES.EDIT || submission.canUpdate === false) return true;
+    if (submission.draft) return false;
+    return submission.deleted || LOCKED_SUBMISSION_STATUSES.includes(submission.status);
+  });
+
+  // Queued submissions for the current form (the credentials only cover one form at a time)
+  const formPendingSubmissions = computed(() => {
+    return pendingSubmissions.value.filter(entry => entry.formId === formConfig.formId);
+  });
+
+  const pendingSyncCount = computed(() => {
+    return formPendingSubmissions.value.filter(entry => entry.status === QUEUE_STATUS.PENDING).length;
+  });
+
   const hasExternalResources = computed(() => {
     return selectedFormModuleVersion.value?.formModuleVersion?.externalUris?.length > 0;
   });
 
   // Actions
+
+  /**
+   * Show an error as the form's error state; returns it as a ChefsError for the caller to throw
+   * Cancelled operations are returned unchanged and leave the error state alone
+   */
+  const fail = (err) => {
+    const chefsError = toChefsError(err);
+    if (!isCancellation(chefsError)) {
+      error.value = chefsError;
+    }
+    return chefsError;
+  };
+
+  /**
+   * Start an operation, cancelling its previous run so a stale response can never overwrite newer state
+   * The operation is also cancelled with `parentSignal` (e.g. the initializeForm() run it belongs to).
+   * Requests made with the returned signal are aborted, and the operation checks it before changing state.
+   * @param {string} name
+   * @param {AbortSignal} [parentSignal]
+   * @returns {AbortSignal}
+   */
+  const beginOperation = (name, parentSignal) => {
+    operations.get(name)?.abort();
+    const controller = new AbortController();
+    if (parentSignal?.aborted) {
+      controller.abort();
+    }
+    parentSignal?.addEventListener('abort', () => controller.abort(), { once: true });
+    operations.set(name, controller);
+    return controller.signal;
+  };
+
+  /**
+   * Cancel every running operation (and the requests they are waiting on)
+   */
+  const cancelOperations = () => {
+    operations.forEach(controller => controller.abort());
+    operations.clear();
+  };
+
   const setCredentials = (formId, apiKey) => {
     formConfig.formId = formId;
-    formConfig.apiKey = apiKey;
-    chefsApi.setCredentials(formId, apiKey);
+    formConfig.apiKey = formConfig.authMode === 'token' ? '' : apiKey;
+    api.setCredentials(formId, apiKey);
+  };
+
+  /**
+   * Authenticate with a host token callback, a token endpoint or a custom provider instead of the API key
+   */
+  const setAuth = ({ getToken, tokenUrl, authProvider } = {}) => {
+    if (!getToken && !tokenUrl && !authProvider) return;
+    api.configureAuth({ getToken, tokenUrl, authProvider });
+    formConfig.authMode = 'token';
+    formConfig.apiKey = '';
   };
 
   const setApiUrl = (apiUrl) => {
     formConfig.baseApiUrl = apiUrl;
-    chefsApi.setBaseUrl(apiUrl);
+    api.setBaseUrl(apiUrl);
   };
 
-  const setFormIdentifiers = (formId, formVersionId) => {
+  const setFormIdentifiers = (formId, formVersionId, versionMode = formConfig.versionMode) => {
+    // Drafts and submissions belong to one form, so switching forms starts a fresh submission
+    if (formConfig.formId !== formId) {
+      formConfig.draftId = '';
+      formConfig.submissionId = '';
+    }
     formConfig.formId = formId;
     formConfig.formVersionId = formVersionId;
+    formConfig.versionMode = versionMode;
   };
 
-  const fetchFormModuleVersions = async () => {
-    if (!formConfig.formId || !formConfig.formVersionId) {
-      error.value = 'Both Form ID and Form Version ID are required';
-      throw new Error(error.value);
+  const markFormUpdateAvailable = () => {
+    formUpdateAvailable.value = true;
+  };
+
+  const fetchFormModuleVersions = async ({ signal: parentSignal } = {}) => {
+    if (!formConfig.formId || !activeFormVersionId.value) {
+      throw fail(new ConfigurationError({ detail: 'Both Form ID and Form Version ID are required' }));
     }
 
+    const signal = beginOperation('formModuleVersions', parentSignal);
     loading.value = true;
     error.value = null;
 
     try {
-      const data = await chefsApi.getFormModuleVersions(formConfig.formId, formConfig.formVersionId);
+      const data = await api.getFormModuleVersions(formConfig.formId, activeFormVersionId.value, {
+        onUpdate: markFormUpdateAvailable,
+        signal
+      });
+      signal.throwIfAborted();
       formModuleVersions.value = data;
       
       // Automatically select the first module version
@@ -89,37 +276,55 @@ export const useChefsFormStore = defineStore('chefsForm', () => {
       
       return data;
     } catch (err) {
-      error.value = `Failed to fetch form module versions: ${err.message}`;
-      console.error('Error fetching form module versions:', err);
-      throw err;
+      if (!isCancellation(err)) console.error('Error fetching form module versions:', err);
+      throw fail(err);
     } finally {
-      loading.value = false;
+      if (!signal.aborted) loading.value = false;
     }
   };
 
-  const fetchFormSchema = async () => {
-    if (!formConfig.formId || !formConfig.formVersionId) {
-      error.value = 'Both Form ID and Form Version ID are required';
-      throw new Error(error.value);
+  const fetchFormSchema = async ({ signal: parentSignal } = {}) => {
+    if (!formConfig.formId || (requiresVersionId.value && !formConfig.formVersionId)) {
+      throw fail(new ConfigurationError({ detail: 'Both Form ID and Form Version ID are required' }));
     }
 
+    const signal = beginOperation('formSchema', parentSignal);
     loading.value = true;
     error.value = null;
 
     try {
-      const data = await chefsApi.getFormSchema(formConfig.formId, formConfig.formVersionId);
-      formSchema.value = data;
-      return data;
+      // An existing submission is always rendered with the version it was submitted against
+      const submissionVersionId = loadedSubmission.value?.formVersionId;
+      const resolved = submissionVersionId
+        ? await api.resolveFormVersion(formConfig.formId, submissionVersionId, {
+            mode: FORM_VERSION_MODES.VERSION,
+            onUpdate: markFormUpdateAvailable,
+            signal
+          })
+        : await api.resolveFormVersion(formConfig.formId, formConfig.formVersionId, {
+            mode: formConfig.versionMode,
+            onUpdate: markFormUpdateAvailable,
+            signal
+          });
+      signal.throwIfAborted();
+      const { schema, ...version } = resolved;
+
+      // New submissions can only be made against a published version (existing ones keep their version)
+      if (!submissionVersionId && formConfig.versionMode === FORM_VERSION_MODES.VERSION && version.published === false) {
+        throw new VersionUnpublishedError({ detail: `Form version ${version.formVersionId} is not published` });
+      }
+      renderedVersion.value = version;
+      formSchema.value = schema;
+      return schema;
     } catch (err) {
-      error.value = `Failed to fetch form schema: ${err.message}`;
-      console.error('Error fetching form schema:', err);
-      throw err;
+      if (!isCancellation(err)) console.error('Error fetching form schema:', err);
+      throw fail(err);
     } finally {
-      loading.value = false;
+      if (!signal.aborted) loading.value = false;
     }
   };
 
-  const loadExternalResources = async () => {
+  const loadExternalResources = async ({ signal } = {}) => {
     try {
       let externalUris = selectedFormModuleVersion.value?.formModuleVersion?.externalUris || [];
       console.log('External resources available:', externalUris);
@@ -131,21 +336,33 @@ export const useChefsFormStore = defineStore('chefsForm', () => {
         console.log('🔧 Overridden external URIs:', externalUris);
       }
       
-      if (externalUris.length === 0) {
-        console.log('No external resources to load');
-        return { success: true, results: [] };
-      }
-      
       // Use the component loader service for robust component management
+      // Replacing (rather than adding to) this form's assets drops the previous form version's
+      // components and styles, even when the new version has none
       console.log('Loading external components for full CHEFS compatibility...');
-      const loadResults = await componentLoader.loadExternalComponents(externalUris);
+      signal?.throwIfAborted();
+      const loadResults = await componentLoader.replaceAssets(assetOwner, externalUris);
+      signal?.throwIfAborted();
       
       console.log('Component loading results:', loadResults);
+
+      // Keep the assets for loading this form again without network (served by the service worker)
+      if (config.formCacheEnabled) {
+        const loadedUrls = loadResults.results
+          .filter(result => result.status === 'loaded')
+          .map(result => componentLoader.resolveUri(result.uri));
+        cacheAssets(loadedUrls).catch(error => console.warn('⚠️ Could not cache component assets:', error.message));
+      }
       console.log('Component loader status:', componentLoader.getStatus());
+
+      // Scripts refused by the trust policy leave their components to the built-in fallbacks
+      componentPolicyViolations.value = componentLoader.getStatus().policyViolations
+        .filter(violation => externalUris.includes(violation.uri));
       
       return loadResults;
       
     } catch (error) {
+      if (isCancellation(error)) throw error;
       console.error('Error loading external resources:', error);
       // Don't fail completely - allow fallback to standard components
       console.warn('Continuing with standard FormIO components only');
@@ -180,15 +397,373 @@ export const useChefsFormStore = defineStore('chefsForm', () => {
     }
   };
 
+  /**
+   * Analyze the schema, swap components whose scripts are unavailable for built-in equivalents
+   * so the form still renders, and drop unsafe custom code when VITE_STRIP_UNSAFE_CODE is set
+   */
+  const prepareSchemaForRendering = async ({ signal } = {}) => {
+    const prepared = await componentLoader.prepareFormForRendering(formSchema.value, [], {
+      fileStorage: CHEFS_STORAGE,
+      stripUnsafeCode: config.stripUnsafeCode
+    });
+    signal?.throwIfAborted();
+    formSchema.value = prepared.schema;
+    schemaAnalysis.value = prepared.analysis;
+    fallbackComponents.value = prepared.validation.valid ? [] : prepared.validation.recommendations;
+    degradedNotice.value = prepared.degradedNotice;
+    return prepared;
+  };
+
   const setSubmissionData = (data) => {
     submissionData.value = data;
   };
 
+  const submitForm = async (data, { draft = false } = {}) => {
+    if (!formConfig.formId || !activeFormVersionId.value) {
+      throw fail(new ConfigurationError({ detail: 'Both Form ID and Form Version ID are required' }));
+    }
+
+    submitting.value = true;
+
+    const request = {
+      formId: formConfig.formId,
+      formVersionId: activeFormVersionId.value,
+      submissionId: formConfig.submissionId,
+      draftId: formConfig.draftId,
+      data,
+      draft
+    };
+
+    try {
+      const result = await sendSubmission(request);
+      submissionData.value = data;
+      submissionResult.value = result;
+      if (draft) {
+        keepReferencedFiles(data);
+      } else {
+        formConfig.draftId = '';
+        // Not awaited: the submission has succeeded whatever happens to the cleanup
+        deleteUnreferencedFiles(data);
+      }
+      return result;
+    } catch (err) {
+      // No network: keep the submission on the device and send it when back online
+      if (config.offlineQueueEnabled && isNetworkError(err)) {
+        return queueSubmission(request);
+      }
+      // Validation errors are shown on the form itself, so don't set the store error here
+      console.error('Error submitting form:', err);
+      throw err;
+    } finally {
+      submitting.value = false;
+    }
+  };
+
+  /**
+   * Send a submission request to CHEFS (used for direct submits and queue replay)
+   * Editing a submission or submitting a resumed draft updates that record instead of creating a new one
+   */
+  const sendSubmission = async ({ formId, formVersionId, submissionId, draftId, data, draft }) => {
+    const submission = await api.uploadPendingFiles(data);
+    if (submissionId) {
+      return api.updateSubmission(submissionId, submission, { draft });
+    }
+    if (draftId) {
+      return api.updateDraft(draftId, submission, { draft });
+    }
+    return api.createSubmission(formId, formVersionId, submission, { draft });
+  };
+
+  const queueSubmission = async (request) => {
+    const entry = await enqueueSubmission(request);
+    keepReferencedFiles(request.data);
+    submissionData.value = request.data;
+    queuedSubmission.value = { id: entry.id, draft: entry.draft, queuedAt: new Date(entry.createdAt) };
+    await refreshPendingSubmissions();
+    scheduleReplay();
+    return { queued: true, queueId: entry.id };
+  };
+
+  const refreshPendingSubmissions = async () => {
+    try {
+      pendingSubmissions.value = await listQueuedSubmissions();
+    } catch (err) {
+      console.warn('Could not read the offline submission queue:', err);
+    }
+    return pendingSubmissions.value;
+  };
+
+  /**
+   * Send queued submissions for the current form; runs on load, when the browser comes back
+   * online, and on a backoff timer while submissions are still waiting
+   */
+  const replayPendingSubmissions = async () => {
+    if (syncing.value || !formConfig.formId) return;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+
+    syncing.value = true;
+
+    try {
+      const { sent, remaining } = await replayQueue({
+        key: instanceId,
+        send: sendSubmission,
+        canSend: entry => entry.formId === formConfig.formId,
+        onSent: (entry, result) => {
+          if (queuedSubmission.value?.id !== entry.id) return;
+          submissionResult.value = result;
+          queuedSubmission.value = null;
+          if (!entry.draft && formConfig.draftId === entry.draftId) {
+            formConfig.draftId = '';
+          }
+        }
+      });
+      pendingSubmissions.value = remaining;
+      if (sent > 0) {
+        console.log(`✅ Synced ${sent} queued submission(s)`);
+      }
+    } catch (err) {
+      console.error('Error replaying queued submissions:', err);
+    } finally {
+      syncing.value = false;
+      scheduleReplay();
+    }
+  };
+
+  const scheduleReplay = () => {
+    clearTimeout(replayTimer);
+    const due = formPendingSubmissions.value
+      .filter(entry => entry.status === QUEUE_STATUS.PENDING)
+      .map(entry => entry.nextAttemptAt);
+    if (due.length === 0) return;
+
+    replayTimer = setTimeout(replayPendingSubmissions, Math.max(Math.min(...due) - Date.now(), 0));
+  };
+
+  /**
+   * Drop a queued submission (e.g. one CHEFS rejected) and the files stored for it
+   */
+  const discardQueuedSubmission = async (id) => {
+    const entry = pendingSubmissions.value.find(item => item.id === id);
+    await removeQueuedSubmission(id);
+    if (entry) {
+      await Promise.all(findPendingFileIds(entry.data).map(removePendingFile));
+    }
+    if (queuedSubmission.value?.id === id) {
+      queuedSubmission.value = null;
+    }
+    await refreshPendingSubmissions();
+  };
+
+  // Track uploads so files removed or replaced before submitting (or left behind) can be deleted
+  const unsubscribeFiles = api.subscribeFiles(({ type, fileId }) => {
+    if (type === 'uploaded') {
+      sessionFileIds.value = [...sessionFileIds.value, fileId];
+    } else {
+      sessionFileIds.value = sessionFileIds.value.filter(id => id !== fileId);
+      savedFileIds.value = savedFileIds.value.filter(id => id !== fileId);
+    }
+  });
+
+  /**
+   * Remember which files a saved draft refers to, so they survive the page being abandoned.
+   * They stay tracked: a file removed from the draft later is still deleted with the final submission.
+   */
+  const keepReferencedFiles = (data) => {
+    savedFileIds.value = findReferencedFileIds(sessionFileIds.value, data);
+  };
+
+  /**
+   * Delete the files uploaded on this page that the final submission doesn't refer to,
+   * including ones an earlier draft used
+   */
+  const deleteUnreferencedFiles = async (data) => {
+    const referenced = findReferencedFileIds(sessionFileIds.value, data);
+    const orphaned = sessionFileIds.value.filter(id => !referenced.includes(id));
+    sessionFileIds.value = [];
+    savedFileIds.value = [];
+    if (orphaned.length === 0) return;
+
+    const results = await Promise.allSettled(orphaned.map(fileId => api.deleteFile(fileId)));
+    const failed = results.filter(result => result.status === 'rejected');
+    console.log(`📁 Deleted ${orphaned.length - failed.length} unused uploaded file(s)`);
+    if (failed.length > 0) {
+      console.warn(`⚠️ Could not delete ${failed.length} unused uploaded file(s):`, failed.map(result => result.reason?.message));
+    }
+  };
+
+  /**
+   * Best-effort cleanup when the form is abandoned (page closed or form removed)
+   * @param {Object} [keepData] - Data that may still be restored, e.g. answers autosaved on this device;
+   *   files it refers to are kept
+   */
+  const releaseSessionFiles = (keepData = null) => {
+    const restorable = keepData ? findReferencedFileIds(sessionFileIds.value, keepData) : [];
+    const kept = sessionFileIds.value.filter(id => restorable.includes(id) || savedFileIds.value.includes(id));
+    const orphaned = sessionFileIds.value.filter(id => !kept.includes(id));
+    if (orphaned.length === 0) return;
+
+    api.releaseFiles(orphaned);
+    sessionFileIds.value = kept;
+  };
+
+  const handleOnline = () => replayPendingSubmissions();
+  if (typeof window !== 'undefined') {
+    window.addEventListener('online', handleOnline);
+  }
+
+  /**
+   * Stop background work and unload this form's external assets (components and styles other forms
+   * still use stay loaded)
+   */
+  const dispose = () => {
+    clearTimeout(replayTimer);
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', handleOnline);
+    }
+    unsubscribeFiles();
+    cancelOperations();
+    componentLoader.unloadAssets(assetOwner);
+  };
+
+  /**
+   * Save the answers as a CHEFS draft
+   * @param {Object} data - Submission data
+   * @param {Object} [options]
+   * @param {number} [options.page] - Wizard page (0-based) to reopen the draft on
+   */
+  const saveDraft = async (data, { page } = {}) => {
+    if (!formConfig.formId || !activeFormVersionId.value) {
+      throw fail(new ConfigurationError({ detail: 'Both Form ID and Form Version ID are required' }));
+    }
+
+    savingDraft.value = true;
+    const metadata = Number.isInteger(page) ? { page } : undefined;
+
+    try {
+      // Update the draft we already have so repeated saves don't create new records
+      const result = formConfig.draftId
+        ? await api.updateDraft(formConfig.draftId, data, { metadata })
+        : await api.saveDraft(formConfig.formId, activeFormVersionId.value, data, { metadata });
+      formConfig.draftId = result.id || formConfig.draftId;
+      keepReferencedFiles(data);
+      draftSubmission.value = { data, metadata };
+      lastDraftSavedAt.value = new Date();
+      return result;
+    } catch (err) {
+      console.error('Error saving draft:', err);
+      throw err;
+    } finally {
+      savingDraft.value = false;
+    }
+  };
+
+  const loadDraft = async (submissionId, { signal: parentSignal } = {}) => {
+    const signal = beginOperation('draft', parentSignal);
+    loading.value = true;
+    error.value = null;
+
+    try {
+      const result = await api.getDraft(submissionId, { signal });
+      signal.throwIfAborted();
+      const submission = result.submission || result;
+
+      if (submission.draft === false) {
+        throw new ChefsError(ERROR_CODES.SUBMISSION_LOCKED, {
+          detail: `Submission ${submissionId} has already been submitted and cannot be resumed`
+        });
+      }
+
+      formConfig.draftId = submission.id || submissionId;
+      draftSubmission.value = {
+        data: submission.submission?.data || {},
+        metadata: submission.submission?.metadata
+      };
+      return draftSubmission.value;
+    } catch (err) {
+      if (!isCancellation(err)) console.error('Error loading draft:', err);
+      throw fail(err);
+    } finally {
+      if (!signal.aborted) loading.value = false;
+    }
+  };
+
+  /**
+   * Whether CHEFS lets the caller change a submission: true, false, or null when that is unknown.
+   * A form API key (also behind the token server) can update any submission of its form; users need
+   * the submission_update permission, from the submission itself or a form role. When their
+   * permissions can't be read the submission stays editable and CHEFS has the last word on saving.
+   */
+  const canUpdateSubmission = async (submissionId, formId, signal) => {
+    if (api.usesFormApiKey()) return true;
+
+    try {
+      const permissions = await api.getSubmissionPermissions(submissionId, { formId, signal });
+      return permissions.includes(SUBMISSION_UPDATE_PERMISSION);
+    } catch (err) {
+      if (isCancellation(err)) throw err;
+      console.warn('Could not determine submission permissions:', err.message);
+      return null;
+    }
+  };
+
+  const loadSubmission = async (submissionId, { signal: parentSignal } = {}) => {
+    const signal = beginOperation('submission', parentSignal);
+    loading.value = true;
+    error.value = null;
+
+    try {
+      const result = await api.getSubmission(submissionId, { signal });
+      const submission = result.submission || result;
+
+      // Status is best-effort: without it the caller's requested mode decides
+      let status = null;
+      try {
+        const statuses = await api.getSubmissionStatus(submissionId, { signal });
+        status = Array.isArray(statuses) && statuses.length > 0 ? statuses[0].code : null;
+      } catch (err) {
+        if (!isCancellation(err)) console.warn('Could not determine submission status:', err.message);
+      }
+      signal.throwIfAborted();
+
+      // Resolved before the submission is published, so the form renders with its final read-only state
+      const canUpdate = formConfig.submissionMode === SUBMISSION_MODES.EDIT
+        ? await canUpdateSubmission(submissionId, result.form?.id || formConfig.formId, signal)
+        : false;
+
+      loadedSubmission.value = {
+        id: submission.id || submissionId,
+        confirmationId: submission.confirmationId,
+        draft: !!submission.draft,
+        deleted: !!submission.deleted,
+        status,
+        canUpdate,
+        submittedAt: submission.createdAt || null,
+        formId: result.form?.id || formConfig.formId,
+        formVersionId: result.version?.id || submission.formVersionId,
+        data: submission.submission?.data || {},
+        metadata: submission.submission?.metadata
+      };
+
+      // Saving a draft opened by ID should keep updating that same draft
+      if (loadedSubmission.value.draft) {
+        formConfig.draftId = loadedSubmission.value.id;
+      }
+      return loadedSubmission.value;
+    } catch (err) {
+      if (!isCancellation(err)) console.error('Error loading submission:', err);
+      throw fail(err);
+    } finally {
+      if (!signal.aborted) loading.value = false;
+    }
+  };
+
   const setFormReady = (ready) => {
     isFormReady.value = ready;
   };
 
   const reset = () => {
+    // Requests still running for the previous form would otherwise land in the fresh state
+    cancelOperations();
     loading.value = false;
     error.value = null;
     formModules.value = [];
@@ -196,49 +771,99 @@ export const useChefsFormStore = defineStore('chefsForm', () => {
     selectedFormModule.value = null;
     selectedFormModuleVersion.value = null;
     formSchema.value = null;
+    renderedVersion.value = null;
     submissionData.value = null;
+    submissionResult.value = null;
+    submitting.value = false;
+    draftSubmission.value = null;
+    savingDraft.value = false;
+    lastDraftSavedAt.value = null;
+    loadedSubmission.value = null;
+    queuedSubmission.value = null;
+    degradedNotice.value = null;
+    fallbackComponents.value = [];
+    schemaAnalysis.value = null;
+    componentPolicyViolations.value = [];
+    formUpdateAvailable.value = false;
     isFormReady.value = false;
   };
 
+  /**
+   * Load everything the form needs to render
+   * Only the latest run can change state: starting another run (or reset()) cancels this one, its
+   * requests are aborted and it rejects with an AbortError instead of committing what it loaded.
+   */
   const initializeForm = async () => {
     if (!isFullyConfigured.value) {
-      error.value = 'Form configuration is incomplete. Please check environment variables.';
-      throw new Error(error.value);
+      throw fail(new ConfigurationError({ detail: 'Form configuration is incomplete. Please check environment variables.' }));
     }
 
+    const signal = beginOperation('initialize');
+
     try {
-      // Fetch form module versions first to check for external resources
-      await fetchFormModuleVersions();
+      // Load an existing submission first so its form version is the one rendered
+      if (formConfig.submissionId) {
+        await loadSubmission(formConfig.submissionId, { signal });
+      }
+
+      // Fetch the form schema first so we know which version is actually rendered
+      await fetchFormSchema({ signal });
+
+      if (!formSchema.value) {
+        throw new NotFoundError(ERROR_CODES.FORM_NOT_FOUND, { detail: 'No form schema found for this form version' });
+      }
+
+      // Fetch form module versions to check for external resources
+      await fetchFormModuleVersions({ signal });
 
       if (formModuleVersions.value.length === 0) {
-        throw new Error('No form module versions found for this form');
+        throw new ConfigurationError({ detail: 'No form module versions found for this form' });
       }
 
-      // Load external resources first (these contain FormIO + custom components)
-      await loadExternalResources();
+      try {
+        // Load external resources (these contain FormIO + custom components)
+        await loadExternalResources({ signal });
 
-      // Only load base FormIO if no external resources provided it
-      await loadFormIOLibrary();
+        // Only load base FormIO if no external resources provided it
+        await loadFormIOLibrary();
 
-      // Fetch the form schema
-      await fetchFormSchema();
+        // Any custom component that still isn't registered gets a built-in fallback
+        await prepareSchemaForRendering({ signal });
+      } catch (err) {
+        if (isCancellation(err)) throw err;
+        throw new ComponentLoadError({ detail: err.message, cause: err });
+      }
 
-      if (!formSchema.value) {
-        throw new Error('No form schema found for this form version');
+      // Resume a saved draft if one was requested
+      if (formConfig.draftId && !formConfig.submissionId) {
+        await loadDraft(formConfig.draftId, { signal });
       }
 
+      // Send anything left in the offline queue from an earlier visit (in the background)
+      refreshPendingSubmissions().then(replayPendingSubmissions);
+
       return {
         moduleVersion: selectedFormModuleVersion.value,
-        schema: formSchema.value
+        schema: formSchema.value,
+        version: renderedVersion.value,
+        draft: draftSubmission.value,
+        submission: loadedSubmission.value
       };
     } catch (err) {
-      error.value = `Failed to initialize form: ${err.message}`;
-      console.error('Form initialization error:', err);
-      throw err;
+      if (isCancellation(err)) {
+        console.log('🔄 Form initialization cancelled');
+      } else {
+        console.error('Form initialization error:', err);
+      }
+      throw fail(err);
     }
   };
 
   return {
+    instanceId,
+    // Not reactive state: the client is used as-is
+    api: markRaw(api),
+
     // State
     loading,
     error,
@@ -247,25 +872,86 @@ export const useChefsFormStore = defineStore('chefsForm', () => {
     selectedFormModule,
     selectedFormModuleVersion,
     formSchema,
+    renderedVersion,
     submissionData,
+    submissionResult,
+    submitting,
+    draftSubmission,
+    savingDraft,
+    lastDraftSavedAt,
+    loadedSubmission,
     isFormReady,
+    degradedNotice,
+    fallbackComponents,
+    schemaAnalysis,
+    componentPolicyViolations,
+    formUpdateAvailable,
+    pendingSubmissions,
+    queuedSubmission,
+    syncing,
+    sessionFileIds,
     formConfig,
 
     // Computed
     isFullyConfigured,
+    activeFormVersionId,
+    initialSubmission,
+    isSubmissionReadOnly,
+    formPendingSubmissions,
+    pendingSyncCount,
     hasExternalResources,
 
     // Actions
     setCredentials,
+    setAuth,
     setApiUrl,
     setFormIdentifiers,
     fetchFormModuleVersions,
     fetchFormSchema,
     loadExternalResources,
     loadFormIOLibrary,
+    prepareSchemaForRendering,
     setSubmissionData,
+    submitForm,
+    saveDraft,
+    loadDraft,
+    loadSubmission,
+    refreshPendingSubmissions,
+    replayPendingSubmissions,
+    discardQueuedSubmission,
+    releaseSessionFiles,
     setFormReady,
     initializeForm,
-    reset
+    reset,
+    dispose
   };
-});
+};
+
+const storeDefinitions = new Map();
+
+/**
+ * Store for one embedded form
+ * Every instance ID gets its own store and ChefsApi client, so several forms (e.g. an intake form
+ * and a consent form) can be embedded on one page with different credentials.
+ * @param {string} [instanceId] - Omit for the page's main form
+ */
+export const useChefsFormStore = (instanceId = DEFAULT_FORM_INSTANCE, pinia) => {
+  if (!storeDefinitions.has(instanceId)) {
+    const storeId = instanceId === DEFAULT_FORM_INSTANCE ? 'chefsForm' : `chefsForm:${instanceId}`;
+    storeDefinitions.set(instanceId, defineStore(storeId, () => setupChefsFormStore(instanceId)));
+  }
+  return storeDefinitions.get(instanceId)(pinia);
+};
+
+/**
+ * Tear down a form's store when the form is removed from the page
+ */
+export const disposeChefsFormStore = (instanceId, pinia = getActivePinia()) => {
+  if (!storeDefinitions.has(instanceId)) return;
+
+  const store = useChefsFormStore(instanceId, pinia);
+  store.dispose();
+  store.$dispose();
+  delete pinia.state.value[store.$id];
+  storeDefinitions.delete(instanceId);
+};
@@ -4,7 +4,7 @@ import vue from '@vitejs/plugin-vue'
 import vueDevTools from 'vite-plugin-vue-devtools'
 
 // https://vite.dev/config/
-export default defineConfig(({ mode }) => {
+export default defineConfig(({ command, mode }) => {
   const env = loadEnv(mode, '.', '');
   
   // Extract base URL and path from environment
@@ -26,6 +26,9 @@ export default defineConfig(({ mode }) => {
     },
     define: {
       global: 'globalThis',
+      // The form API key is for local development only; never bake it into a build.
+      // Deployments use the token server, or supply the key at runtime via ENV_CONFIG.
+      ...(command === 'build' && { 'import.meta.env.VITE_API_KEY': '""' }),
     },
     resolve: {
       alias: {
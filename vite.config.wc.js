@@ -0,0 +1,40 @@
+import { fileURLToPath, URL } from 'node:url'
+import { defineConfig } from 'vite'
+import vue from '@vitejs/plugin-vue'
+
+// Library build for the <chefs-form> web component
+// Bundles Vue, Pinia and FormIO so host pages only need a single script tag
+export default defineConfig({
+  plugins: [
+    vue({
+      // Compile every SFC in custom element mode so all component styles end up in the shadow root
+      features: { customElement: true }
+    }),
+  ],
+  define: {
+    global: 'globalThis',
+    'process.env.NODE_ENV': JSON.stringify('production'),
+    // Keep a developer's .env API key out of the published bundle; hosts pass api-key at runtime
+    'import.meta.env.VITE_API_KEY': '""',
+  },
+  resolve: {
+    alias: {
+      '@': fileURLToPath(new URL('./src', import.meta.url))
+    },
+  },
+  build: {
+    outDir: 'dist-wc',
+    sourcemap: true,
+    lib: {
+      entry: fileURLToPath(new URL('./src/modules/chefsFormElement.js', import.meta.url)),
+      name: 'ChefsForm',
+      formats: ['es', 'iife'],
+      fileName: (format) => `chefs-form.${format}.js`
+    },
+    rollupOptions: {
+      output: {
+        exports: 'named'
+      }
+    }
+  }
+})